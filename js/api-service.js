@@ -1,37 +1,21 @@
 /**
  * ./js/api-service.js
  * API Service Module - Handles all communication with AI APIs
- * Interfaces with OpenAI and Gemini APIs and manages API keys
+ * Interfaces with OpenAI, Gemini and Anthropic APIs and manages API keys,
+ * which are kept encrypted in a vault unlocked by the user's password
  */
 const ApiService = (function() {
     'use strict';
 
     // Private state
-    let apiKey = "";
-    let geminiApiKey = "";
-    
-    // Encrypted API keys
-    const encryptedOpenAIKey = "069089026066075089092031002003099081098064082125085108093006123109084087069010097094114091115010026093095069126088000107095121083104015115094081116122082001110083091112111031107123125089102075109090007091101098011084093094091081091065125092000095109005116094085089127124065102101117011003125102007070014123126120064002118015101093122067105119090112120113093125081086113122118113001120123011125092085103007086108119119007083119014125015112124106000120087004098124093117090066000116113095081115";
-    
-    // Gemini decryption
-    (function(){
-        var _0x1a2b3c = "20250325";
-        var _0x4d5e6f = "115121072084099074118106117088090121005073031071112069112077003119122093072123106109115098002002094093126121003069010";
-        var _0x7f8g9h = function(_0xabcd){
-            var _0x123 = new TextDecoder(), _0x456 = new TextEncoder(), _0x789 = "";
-            for(var _0xdef = 0; _0xdef < _0xabcd.length; _0xdef += 3) {
-                var _0x101 = _0xabcd.slice(_0xdef, _0xdef + 3);
-                var _0x112 = parseInt(_0x101);
-                var _0x131 = _0x1a2b3c.charCodeAt((_0xdef / 3) % _0x1a2b3c.length);
-                var _0x415 = _0x112 ^ _0x131;
-                _0x789 += String.fromCharCode(_0x415);
-            }
-            return _0x123.decode(new Uint8Array(_0x456.encode(_0x789)));
-        };
-        geminiApiKey = _0x7f8g9h(_0x4d5e6f);
-    })();
+    // Key derived from the password; it unlocks the vault of saved API keys
+    let sessionKey = null;
+    // Keys entered by the user in settings, keyed by provider id
+    const providerKeys = {};
+    // Base URL of a user-configured OpenAI-compatible server (llama.cpp, Ollama, vLLM...)
+    let customBaseUrl = "";
 
-    // Gemini API configuration
+    // Gemini defaults, overridden by the user's generation parameters
     const generationConfig = {
         temperature: 1,
         topP: 0.95,
@@ -40,77 +24,570 @@ const ApiService = (function() {
         responseMimeType: "text/plain"
     };
 
+    // API keys sealed with the session key, in localStorage as
+    // { version, salt, iterations, check, keys: { providerId: { iv, data } } }.
+    // `check` is a known value that only decrypts with the right password.
+    const VAULT_STORAGE_KEY = 'chat_vault';
+    const VAULT_CHECK = 'chat-vault';
+    // Earlier versions XOR-encrypted user-entered keys under chat_key_<provider>
+    const LEGACY_KEY_PREFIX = 'chat_key_';
+    // API keys are printable ASCII; XOR with a wrong password rarely is
+    const LEGACY_KEY_PATTERN = /^[\x21-\x7e]+$/;
+    // Vault writes run one after another, as each rewrites the whole vault
+    let vaultWrite = Promise.resolve();
+
+    // OpenAI API configuration
+    const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+    // Models served by the custom endpoint are selected as `local:<model>`
+    const LOCAL_MODEL_PREFIX = 'local:';
+    // A non-streamed reply only arrives once it is fully generated, which can take minutes
+    const COMPLETION_TIMEOUT = 120000;
+
+    // Anthropic API configuration
+    const ANTHROPIC_VERSION = '2023-06-01';
+    const ANTHROPIC_MAX_TOKENS = 8192;
+
+    // Context windows and vision support for models whose list endpoint does not
+    // report them; a model uses the longest matching prefix
+    const KNOWN_MODEL_CAPABILITIES = {
+        'gpt-5': { contextWindow: 400000, vision: true },
+        'gpt-4.1': { contextWindow: 1047576, vision: true },
+        'gpt-4o': { contextWindow: 128000, vision: true },
+        'gpt-4-turbo': { contextWindow: 128000, vision: true },
+        'gpt-4': { contextWindow: 8192, vision: false },
+        'gpt-3.5-turbo': { contextWindow: 16385, vision: false },
+        'gemini': { vision: true },
+        'gemma-3-1b': { vision: false },
+        'gemma-3': { vision: true },
+        'claude': { contextWindow: 200000, vision: true }
+    };
+    // OpenAI models that are not served by chat completions
+    const NON_CHAT_OPENAI_MODEL = /audio|realtime|transcribe|tts|image|search|instruct/;
+
+    /**
+     * Initializes the API service by unlocking the vault of API keys with the password
+     * @param {string} password - The password protecting the API keys
+     * @returns {Promise<boolean>} - Whether the password was right; false if there is no vault yet
+     */
+    async function init(password) {
+        const vault = readVault();
+        if (!password || !vault) return false;
+        try {
+            return await unlock(await Utils.deriveKey(password, vault.salt, vault.iterations));
+        } catch (err) {
+            console.error('Failed to unlock API keys:', err);
+            return false;
+        }
+    }
+
+    /**
+     * Unlocks the API keys with a session key, e.g. one remembered on this device
+     * @param {CryptoKey} key - The AES-GCM key derived from the password
+     * @returns {Promise<boolean>} - Whether the key opens the vault
+     */
+    async function unlock(key) {
+        const vault = readVault();
+        if (!vault) return false;
+        try {
+            await Utils.decryptText(key, vault.check);
+        } catch (err) {
+            return false;
+        }
+        const keys = {};
+        for (const [providerId, sealed] of Object.entries(vault.keys)) {
+            try {
+                keys[providerId] = await Utils.decryptText(key, sealed);
+            } catch (err) {
+                console.error(`Failed to decrypt saved key for ${providerId}:`, err);
+            }
+        }
+        sessionKey = key;
+        Object.assign(providerKeys, keys);
+        return true;
+    }
+
+    /**
+     * Gets the key that unlocked the API keys, to remember the session
+     * @returns {CryptoKey|null} - The non-extractable session key, null before unlocking
+     */
+    function getSessionKey() {
+        return sessionKey;
+    }
+
+    /**
+     * Locks the API keys: wipes the decrypted keys and the session key from memory.
+     * The vault stays on the device and unlocks again with the password.
+     */
+    function lock() {
+        Object.keys(providerKeys).forEach(providerId => delete providerKeys[providerId]);
+        sessionKey = null;
+    }
+
+    /**
+     * Checks whether the API keys are unlocked
+     * @returns {boolean} - True between unlocking and locking
+     */
+    function isUnlocked() {
+        return Boolean(sessionKey);
+    }
+
+    /**
+     * Reads the vault of sealed API keys
+     * @returns {Object|null} - The vault, null if none was created yet
+     */
+    function readVault() {
+        try {
+            return JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY));
+        } catch (err) {
+            console.error('Error reading the key vault:', err);
+            return null;
+        }
+    }
+
     /**
-     * Initialize the API service by decrypting the API key
-     * @param {string} password - The password to decrypt the API key
-     * @returns {boolean} - Whether initialization was successful
+     * Checks whether a vault of API keys exists on this device
+     * @returns {boolean} - True once a password has been chosen
      */
-    function init(password) {
+    function hasVault() {
+        return Boolean(readVault());
+    }
+
+    /**
+     * Lists the keys saved by earlier versions, outside the vault
+     * @returns {Array<string>} - Their localStorage names
+     */
+    function legacyKeyNames() {
+        const names = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            if (localStorage.key(i).startsWith(LEGACY_KEY_PREFIX)) names.push(localStorage.key(i));
+        }
+        return names;
+    }
+
+    /**
+     * Checks whether keys saved by earlier versions wait to be moved into a vault
+     * @returns {boolean} - True if creating the vault needs their old password
+     */
+    function hasLegacyKeys() {
+        return legacyKeyNames().length > 0;
+    }
+
+    /**
+     * Creates the vault protected by a new password and unlocks it. Keys saved by
+     * earlier versions are moved in; their XOR encryption cannot detect a wrong
+     * password, so each must decrypt to a printable key for the password to count.
+     * @param {string} password - The password; the old one if legacy keys exist
+     * @returns {Promise<boolean>} - False if the password does not open the legacy keys
+     * @throws {Error} - If a vault already exists
+     */
+    async function createVault(password) {
+        if (readVault()) {
+            throw new Error('A key vault already exists on this device');
+        }
         if (!password) return false;
         
+        const legacyNames = legacyKeyNames();
+        const plainKeys = {};
+        for (const name of legacyNames) {
+            const plainKey = Utils.decryptLegacy(localStorage.getItem(name), password);
+            if (!LEGACY_KEY_PATTERN.test(plainKey)) return false;
+            plainKeys[name.slice(LEGACY_KEY_PREFIX.length)] = plainKey;
+        }
+        
+        const vault = { version: 1, salt: Utils.createSalt(), iterations: Utils.PBKDF2_ITERATIONS, check: null, keys: {} };
+        const key = await Utils.deriveKey(password, vault.salt, vault.iterations);
+        vault.check = await Utils.encryptText(key, VAULT_CHECK);
+        for (const [providerId, plainKey] of Object.entries(plainKeys)) {
+            vault.keys[providerId] = await Utils.encryptText(key, plainKey);
+        }
+        localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(vault));
+        legacyNames.forEach(name => localStorage.removeItem(name));
+        return unlock(key);
+    }
+
+    /**
+     * Deletes the vault and every saved API key, for a forgotten password
+     */
+    function resetVault() {
+        localStorage.removeItem(VAULT_STORAGE_KEY);
+        legacyKeyNames().forEach(name => localStorage.removeItem(name));
+        lock();
+    }
+
+    /**
+     * Saves an API key for a provider in the vault. The key is usable at once;
+     * the returned promise settles when it has been stored.
+     * @param {string} providerId - The provider id (e.g. 'anthropic')
+     * @param {string} key - The API key; an empty value removes the saved key
+     * @returns {Promise<void>} - Settles once the vault is written
+     * @throws {Error} - If the vault is locked
+     */
+    function setProviderKey(providerId, key) {
+        if (key && !sessionKey) {
+            throw new Error('Unlock your API keys before saving new ones');
+        }
+        if (key) {
+            providerKeys[providerId] = key;
+        } else {
+            delete providerKeys[providerId];
+        }
+        vaultWrite = vaultWrite.catch(() => {}).then(async () => {
+            const vault = readVault();
+            if (!vault) return;
+            if (key) {
+                vault.keys[providerId] = await Utils.encryptText(sessionKey, key);
+            } else {
+                delete vault.keys[providerId];
+            }
+            localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(vault));
+        });
+        return vaultWrite;
+    }
+
+    /**
+     * Checks whether an API key has been saved for a provider
+     * @param {string} providerId - The provider id
+     * @returns {boolean} - Whether a key is available
+     */
+    function hasProviderKey(providerId) {
+        return Boolean(providerKeys[providerId]);
+    }
+
+    /**
+     * Checks an API key with a cheap call to its provider, such as listing models
+     * @param {string} providerId - The provider id
+     * @param {string} [key] - The key to check, defaults to the saved one
+     * @param {Object} [options] - Provider-specific options ({ baseUrl } for the custom endpoint)
+     * @returns {Promise<void>} - Rejects with the provider's error if the key does not work
+     */
+    async function testProviderKey(providerId, key, options = {}) {
+        const provider = providers.find(p => p.id === providerId);
+        if (!provider || !provider.testKey) {
+            throw new Error(`Keys for ${provider ? provider.label : providerId} cannot be tested`);
+        }
+        await provider.testKey(key || providerKeys[providerId] || '', options);
+    }
+
+    /**
+     * Sets the base URL of the custom OpenAI-compatible endpoint
+     * @param {string} baseUrl - e.g. http://localhost:8080/v1; empty to disable
+     */
+    function setCustomEndpoint(baseUrl) {
+        customBaseUrl = (baseUrl || '').trim().replace(/\/+$/, '');
+    }
+
+    /**
+     * Resolves where an OpenAI-style request for a model should be sent
+     * @param {string} model - The selected model (may carry the `local:` prefix)
+     * @returns {Object} - { url, baseUrl, headers, model } for the chat completions call
+     */
+    function resolveOpenAIEndpoint(model) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (model.startsWith(LOCAL_MODEL_PREFIX)) {
+            if (!customBaseUrl) {
+                throw new Error('No custom endpoint configured. Set its base URL in Settings.');
+            }
+            // The key is optional for local servers
+            if (providerKeys.local) {
+                headers['Authorization'] = 'Bearer ' + providerKeys.local;
+            }
+            return {
+                url: customBaseUrl + '/chat/completions',
+                baseUrl: customBaseUrl,
+                headers,
+                model: model.slice(LOCAL_MODEL_PREFIX.length)
+            };
+        }
+        if (!providerKeys.openai) {
+            throw Utils.createApiError(Utils.ERROR_TYPES.AUTH, 'No OpenAI API key configured. Add one in Settings.');
+        }
+        headers['Authorization'] = 'Bearer ' + providerKeys.openai;
+        return { url: OPENAI_BASE_URL + '/chat/completions', baseUrl: OPENAI_BASE_URL, headers, model };
+    }
+
+    /**
+     * Describes a model for the model selector
+     * @param {string} id - The model id as selected in the app
+     * @param {string} [label] - Display name, defaults to the id
+     * @param {number} [contextWindow] - Input token limit, if the provider reported one
+     * @returns {Object} - { id, label, contextWindow, capabilities: { streaming, vision, tools } }
+     */
+    function describeModel(id, label, contextWindow) {
+        const key = Object.keys(KNOWN_MODEL_CAPABILITIES)
+            .filter(prefix => id.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        const known = key ? KNOWN_MODEL_CAPABILITIES[key] : {};
+        return {
+            id,
+            label: label || id,
+            contextWindow: contextWindow || known.contextWindow || null,
+            capabilities: {
+                streaming: true,
+                vision: Boolean(known.vision),
+                tools: supportsTools(id)
+            }
+        };
+    }
+
+    /**
+     * Lists the chat models of OpenAI or of the custom endpoint
+     * @param {boolean} local - Whether to query the custom endpoint
+     * @returns {Promise<Array>} - Model descriptions, empty if the provider is not configured
+     */
+    async function listOpenAIModels(local) {
+        if (local ? !customBaseUrl : !providerKeys.openai) return [];
+        const endpoint = resolveOpenAIEndpoint(local ? LOCAL_MODEL_PREFIX : 'gpt');
+        const response = await Utils.fetchCredentialed(endpoint.baseUrl + '/models', {
+            headers: endpoint.headers
+        }, 2, 1000, 10000);
+        const result = await Utils.readJson(response);
+        const models = result.data || [];
+        if (local) {
+            // llama.cpp reports the training context under `meta`, others as context_length
+            return models.map(m => describeModel(LOCAL_MODEL_PREFIX + m.id, m.id, m.context_length || m.meta?.n_ctx_train));
+        }
+        return models
+            .filter(m => m.id.startsWith('gpt') && !NON_CHAT_OPENAI_MODEL.test(m.id))
+            .map(m => describeModel(m.id))
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Normalizes an OpenAI usage object
+     * @param {Object} [usage] - The `usage` field of a response or final stream chunk
+     * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+     */
+    function openAIUsage(usage) {
+        return {
+            promptTokens: usage?.prompt_tokens || 0,
+            completionTokens: usage?.completion_tokens || 0,
+            totalTokens: usage?.total_tokens || 0
+        };
+    }
+
+    /**
+     * Normalizes Gemini usage metadata
+     * @param {Object} [metadata] - The `usageMetadata` field of a response or stream chunk
+     * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+     */
+    function geminiUsage(metadata) {
+        return {
+            promptTokens: metadata?.promptTokenCount || 0,
+            completionTokens: metadata?.candidatesTokenCount || 0,
+            totalTokens: metadata?.totalTokenCount || 0
+        };
+    }
+
+    /**
+     * Creates an id for a tool call when the API does not supply one
+     * @returns {string} - A unique call id
+     */
+    function createToolCallId() {
+        return 'call_' + Math.random().toString(36).slice(2, 12);
+    }
+
+    /**
+     * Parses the JSON arguments of a tool call, tolerating malformed input
+     * @param {string} json - The arguments JSON
+     * @returns {Object} - The parsed arguments (empty on failure)
+     */
+    function parseToolArguments(json) {
+        if (!json) return {};
         try {
-            apiKey = Utils.decrypt(encryptedOpenAIKey, password);
-            return true;
+            return JSON.parse(json);
         } catch (err) {
-            console.error('Failed to decrypt API key:', err);
-            return false;
+            console.warn('Tool arguments parse error:', err, 'from', json);
+            return {};
+        }
+    }
+
+    /**
+     * Splits message content into parts. Content is either a string or, for
+     * messages with attachments, an array of { type: 'text', text } and
+     * { type: 'image', mimeType, data, name } parts, `data` being base64.
+     * @param {string|Array} content - The message content
+     * @returns {Array} - The content parts
+     */
+    function contentParts(content) {
+        if (Array.isArray(content)) return content;
+        return content ? [{ type: 'text', text: content }] : [];
+    }
+
+    /**
+     * Gets the text of message content, leaving out attachments
+     * @param {string|Array} content - The message content
+     * @returns {string} - The text
+     */
+    function contentText(content) {
+        return contentParts(content)
+            .filter(part => part.type === 'text')
+            .map(part => part.text)
+            .join('\n');
+    }
+
+    /**
+     * Rewrites native tool-call turns as plain text using the JSON-text tool
+     * protocol, for models that have no tool API. Native turns are stored as
+     * { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+     * and { role: 'tool', toolCallId, name, content }.
+     * @param {Array} chatHistory - The message history
+     * @returns {Array} - History containing only text turns
+     */
+    function flattenToolMessages(chatHistory) {
+        return chatHistory.map(item => {
+            if (item.role === 'tool') {
+                return { role: 'assistant', content: item.content };
+            }
+            if (item.role === 'assistant' && item.toolCalls && item.toolCalls.length) {
+                const calls = item.toolCalls.map(call => JSON.stringify({ tool: call.name, arguments: call.arguments }));
+                return { role: 'assistant', content: [item.content, ...calls].filter(Boolean).join('\n') };
+            }
+            return item;
+        });
+    }
+
+    /**
+     * Maps chat history entries to OpenAI chat messages
+     * @param {Array} chatHistory - The message history
+     * @returns {Array} - OpenAI messages array
+     */
+    function toOpenAIMessages(chatHistory) {
+        return chatHistory.map(item => {
+            if (item.role === 'tool') {
+                return { role: 'tool', tool_call_id: item.toolCallId, content: item.content };
+            }
+            if (item.role === 'assistant' && item.toolCalls && item.toolCalls.length) {
+                return {
+                    role: 'assistant',
+                    content: item.content || null,
+                    tool_calls: item.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                    }))
+                };
+            }
+            if (Array.isArray(item.content)) {
+                return {
+                    role: item.role,
+                    content: item.content.map(part => part.type === 'image'
+                        ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+                        : { type: 'text', text: part.text })
+                };
+            }
+            return { role: item.role, content: item.content };
+        });
+    }
+
+    /**
+     * Removes the parameters left at the provider default
+     * @param {Object} params - Provider request parameters
+     * @returns {Object} - The parameters that are set
+     */
+    function definedParams(params) {
+        return Object.fromEntries(Object.entries(params).filter(([, value]) =>
+            value !== undefined && value !== null && !(Array.isArray(value) && !value.length)));
+    }
+
+    /**
+     * Maps generation parameters to OpenAI chat completion fields
+     * @param {Object} [generation] - { temperature, topP, maxOutputTokens, stopSequences, seed, presencePenalty, frequencyPenalty }
+     * @returns {Object} - The request fields
+     */
+    function toOpenAIGenerationParams(generation = {}) {
+        return definedParams({
+            temperature: generation.temperature,
+            top_p: generation.topP,
+            max_tokens: generation.maxOutputTokens,
+            stop: generation.stopSequences,
+            seed: generation.seed,
+            presence_penalty: generation.presencePenalty,
+            frequency_penalty: generation.frequencyPenalty
+        });
+    }
+
+    /**
+     * Builds an OpenAI chat completions payload
+     * @param {string} model - The model name as the endpoint knows it
+     * @param {Array} messages - The message history
+     * @param {Object} options - Request options ({ tools, generation, responseSchema })
+     * @returns {Object} - The request payload
+     */
+    function toOpenAIPayload(model, messages, options) {
+        const payload = {
+            model,
+            messages: toOpenAIMessages(messages),
+            ...toOpenAIGenerationParams(options.generation)
+        };
+        if (options.responseSchema) {
+            // Not strict: strict mode only accepts schemas that list every property as required
+            payload.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'structured_output', schema: options.responseSchema, strict: false }
+            };
+        }
+        if (options.tools && options.tools.length) {
+            payload.tools = options.tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }));
         }
+        return payload;
     }
 
     /**
-     * Sends a non-streaming request to OpenAI API
+     * Sends a non-streaming request to OpenAI API or the custom OpenAI-compatible endpoint
      * @param {string} model - The model to use
      * @param {Array} messages - The message history
-     * @param {number} [timeout] - Optional timeout in ms
+     * @param {Object} [options] - Request options ({ timeout, tools, generation, responseSchema, signal, onRoute })
      * @returns {Promise<Object>} - The API response
      */
-    async function sendOpenAIRequest(model, messages, timeout = 10000) {
-        const payload = { model, messages };
-        const response = await Utils.fetchWithRetry('https://api.openai.com/v1/chat/completions', {
+    async function sendOpenAIRequest(model, messages, options = {}) {
+        const endpoint = resolveOpenAIEndpoint(model);
+        const payload = toOpenAIPayload(endpoint.model, messages, options);
+        const response = await Utils.fetchCredentialed(endpoint.url, {
             method: 'POST',
             mode: 'cors',
-            headers: { 
-                'Content-Type': 'application/json', 
-                'Authorization': 'Bearer ' + apiKey 
-            },
-            body: JSON.stringify(payload)
-        }, 3, 1000, timeout);
-        
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
-        }
+            headers: endpoint.headers,
+            body: JSON.stringify(payload),
+            signal: options.signal,
+            onRoute: options.onRoute
+        }, 3, 1000, options.timeout || COMPLETION_TIMEOUT);
         
-        return response.json();
+        return Utils.readJson(response);
     }
 
     /**
-     * Sends a streaming request to OpenAI API
+     * Sends a streaming request to OpenAI API or the custom OpenAI-compatible endpoint
      * @param {string} model - The model to use
      * @param {Array} messages - The message history
      * @param {Function} onChunk - Callback for each chunk of data
-     * @returns {Promise<string>} - The full response text
+     * @param {Object} [options] - Request options ({ tools, generation, responseSchema, signal, onRoute })
+     * @returns {Promise<Object>} - { text, toolCalls, usage } for the full response
      */
-    async function streamOpenAIRequest(model, messages, onChunk) {
-        const response = await Utils.fetchWithRetry('https://api.openai.com/v1/chat/completions', {
+    async function streamOpenAIRequest(model, messages, onChunk, options = {}) {
+        const endpoint = resolveOpenAIEndpoint(model);
+        const response = await Utils.fetchCredentialed(endpoint.url, {
             method: 'POST',
-            headers: { 
-                'Content-Type': 'application/json', 
-                'Authorization': 'Bearer ' + apiKey 
-            },
-            body: JSON.stringify({ model, messages, stream: true })
+            headers: endpoint.headers,
+            // Ask for a final usage chunk so the reply need not be re-sent to count tokens
+            body: JSON.stringify({
+                ...toOpenAIPayload(endpoint.model, messages, options),
+                stream: true,
+                stream_options: { include_usage: true }
+            }),
+            signal: options.signal,
+            onRoute: options.onRoute
         }, 3, 1000, 10000);
         
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
-        }
-        
         const reader = response.body.getReader();
         const decoder = new TextDecoder('utf-8');
         let done = false;
         let eventBuffer = '';
         let fullReply = '';
+        let usage = null;
+        // Tool calls arrive as fragments keyed by index
+        const toolCallParts = [];
         
         while (!done) {
             const { value, done: doneReading } = await reader.read();
@@ -133,19 +610,187 @@ const ApiService = (function() {
                         break;
                     }
                     
+                    // The usage chunk comes last, with an empty choices array
+                    if (parsed.data?.usage) {
+                        usage = openAIUsage(parsed.data.usage);
+                    }
+                    
                     const delta = parsed.data?.choices?.[0]?.delta;
                     if (delta?.content) {
                         fullReply += delta.content;
                         if (onChunk) onChunk(delta.content, fullReply);
                     }
+                    (delta?.tool_calls || []).forEach(fragment => {
+                        const part = toolCallParts[fragment.index] || (toolCallParts[fragment.index] = { id: '', name: '', args: '' });
+                        if (fragment.id) part.id = fragment.id;
+                        if (fragment.function?.name) part.name += fragment.function.name;
+                        if (fragment.function?.arguments) part.args += fragment.function.arguments;
+                    });
                 }
                 if (done) break;
             }
         }
         
-        return fullReply;
+        const toolCalls = toolCallParts.filter(Boolean).map(part => ({
+            id: part.id || createToolCallId(),
+            name: part.name,
+            arguments: parseToolArguments(part.args)
+        }));
+        // usage stays null for compatible servers that ignore stream_options
+        return { text: fullReply, toolCalls, usage };
     }
     
+    /**
+     * Maps chat history entries to Gemini contents. System messages are left
+     * to the caller, empty turns are dropped and consecutive turns with the
+     * same role are merged, as Gemini rejects non-alternating roles.
+     * @param {Array} chatHistory - The message history (without system messages)
+     * @returns {Array} - Gemini contents array
+     */
+    function toGeminiContents(chatHistory) {
+        const contents = [];
+        chatHistory.forEach(item => {
+            const parts = [];
+            if (item.role === 'tool') {
+                parts.push({ functionResponse: { name: item.name, response: { content: item.content } } });
+            } else {
+                contentParts(item.content).forEach(part => {
+                    parts.push(part.type === 'image'
+                        ? { inline_data: { mime_type: part.mimeType, data: part.data } }
+                        : { text: part.text });
+                });
+                (item.toolCalls || []).forEach(call => {
+                    parts.push({ functionCall: { name: call.name, args: call.arguments } });
+                });
+            }
+            if (!parts.length) return;
+            
+            const role = item.role === 'assistant' ? 'model' : 'user';
+            const last = contents[contents.length - 1];
+            if (last && last.role === role) {
+                last.parts.push(...parts);
+            } else {
+                contents.push({ role, parts });
+            }
+        });
+        return contents;
+    }
+
+    // JSON Schema keywords Gemini's responseSchema understands
+    const GEMINI_SCHEMA_KEYS = [
+        'type', 'format', 'title', 'description', 'nullable', 'enum', 'minItems', 'maxItems',
+        'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'minProperties', 'maxProperties', 'required'
+    ];
+
+    /**
+     * Converts a JSON Schema to Gemini's schema subset, dropping the keywords it rejects
+     * @param {Object} schema - The JSON Schema
+     * @returns {Object} - The Gemini schema
+     */
+    function toGeminiSchema(schema) {
+        if (!schema || typeof schema !== 'object') return {};
+        const result = {};
+        GEMINI_SCHEMA_KEYS.forEach(key => {
+            if (schema[key] !== undefined) result[key] = schema[key];
+        });
+        // Gemini takes one type plus `nullable` rather than a list of types
+        if (Array.isArray(schema.type)) {
+            const types = schema.type.filter(type => type !== 'null');
+            result.type = types[0];
+            if (types.length < schema.type.length) result.nullable = true;
+        }
+        if (schema.const !== undefined) result.enum = [schema.const];
+        if (schema.properties) {
+            result.properties = Object.fromEntries(Object.entries(schema.properties)
+                .map(([key, value]) => [key, toGeminiSchema(value)]));
+        }
+        if (schema.items) result.items = toGeminiSchema(schema.items);
+        if (schema.anyOf || schema.oneOf) result.anyOf = (schema.anyOf || schema.oneOf).map(toGeminiSchema);
+        return result;
+    }
+
+    /**
+     * Builds a Gemini generateContent request body. System messages are sent as
+     * `systemInstruction`; Gemma models do not accept one, so for them the
+     * instructions open the first user turn instead.
+     * @param {string} model - The model to use
+     * @param {Array} chatHistory - The message history
+     * @param {Object} options - Request options ({ tools, generation, responseSchema })
+     * @returns {Object} - The request body
+     */
+    function toGeminiRequest(model, chatHistory, options) {
+        const systemText = chatHistory
+            .filter(item => item.role === 'system')
+            .map(item => item.content)
+            .filter(Boolean)
+            .join('\n\n');
+        let conversation = chatHistory.filter(item => item.role !== 'system');
+        const generation = options.generation || {};
+        const requestBody = {
+            generationConfig: {
+                ...generationConfig,
+                ...definedParams({
+                    temperature: generation.temperature,
+                    topP: generation.topP,
+                    maxOutputTokens: generation.maxOutputTokens,
+                    stopSequences: generation.stopSequences,
+                    seed: generation.seed,
+                    presencePenalty: generation.presencePenalty,
+                    frequencyPenalty: generation.frequencyPenalty
+                })
+            }
+        };
+        if (options.responseSchema) {
+            requestBody.generationConfig.responseMimeType = 'application/json';
+            requestBody.generationConfig.responseSchema = toGeminiSchema(options.responseSchema);
+        }
+        
+        if (systemText && model.startsWith('gemma')) {
+            conversation = [{ role: 'user', content: systemText }, ...conversation];
+        } else if (systemText) {
+            requestBody.systemInstruction = { parts: [{ text: systemText }] };
+        }
+        requestBody.contents = toGeminiContents(conversation);
+        
+        if (options.tools && options.tools.length) {
+            requestBody.tools = [{
+                functionDeclarations: options.tools.map(tool => ({
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }))
+            }];
+        }
+        return requestBody;
+    }
+
+    /**
+     * Extracts the function calls from Gemini response parts
+     * @param {Array} parts - Candidate content parts
+     * @returns {Array} - Tool calls as { id, name, arguments }
+     */
+    function geminiToolCalls(parts) {
+        return (parts || [])
+            .filter(part => part.functionCall)
+            .map(part => ({
+                id: part.functionCall.id || createToolCallId(),
+                name: part.functionCall.name,
+                arguments: part.functionCall.args || {}
+            }));
+    }
+
+    /**
+     * Gets the Gemini API key, which goes in the request URL
+     * @returns {string} - The key, URL-encoded
+     * @throws {Error} - An auth ApiError if no key is configured
+     */
+    function geminiKey() {
+        if (!providerKeys.gemini) {
+            throw Utils.createApiError(Utils.ERROR_TYPES.AUTH, 'No Gemini API key configured. Add one in Settings.');
+        }
+        return encodeURIComponent(providerKeys.gemini);
+    }
+
     /**
      * Creates a Gemini session
      * @param {string} model - The model to use
@@ -153,31 +798,20 @@ const ApiService = (function() {
      */
     function createGeminiSession(model) {
         return {
-            sendMessage: async function(userText, chatHistory) {
-                // Prepare contents array and request body
-                const contents = chatHistory.map(item => ({
-                    role: item.role === 'assistant' ? 'model' : 'user',
-                    parts: [{ text: item.content }]
-                }));
-                
-                const requestBody = {
-                    contents: contents,
-                    generationConfig: generationConfig
-                };
+            sendMessage: async function(chatHistory, options = {}) {
+                // Prepare request body
+                const requestBody = toGeminiRequest(model, chatHistory, options);
                 
-                const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
-                const response = await Utils.fetchWithProxyRetry(url, {
+                const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiKey()}`;
+                const response = await Utils.fetchCredentialed(url, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(requestBody)
-                }, undefined, 3, 1000, 10000);
+                    body: JSON.stringify(requestBody),
+                    signal: options.signal,
+                    onRoute: options.onRoute
+                }, 3, 1000, options.timeout || COMPLETION_TIMEOUT);
                 
-                if (!response.ok) {
-                    const errText = await response.text();
-                    throw new Error(`API error ${response.status}: ${errText}`);
-                }
-                
-                const result = await response.json();
+                const result = await Utils.readJson(response);
                 if (!result.candidates || result.candidates.length === 0) {
                     throw new Error('No response from API');
                 }
@@ -192,34 +826,29 @@ const ApiService = (function() {
      * @param {string} model - The model to use
      * @param {Array} chatHistory - The message history
      * @param {Function} onChunk - Callback for each chunk of data
-     * @returns {Promise<string>} - The full response text
+     * @param {Object} [options] - Request options ({ tools, generation, responseSchema, signal, onRoute })
+     * @returns {Promise<Object>} - { text, toolCalls, usage } for the full response
      */
-    async function streamGeminiRequest(model, chatHistory, onChunk) {
+    async function streamGeminiRequest(model, chatHistory, onChunk, options = {}) {
         // Build the request body
-        const contents = chatHistory.map(item => ({
-            role: item.role === 'assistant' ? 'model' : 'user',
-            parts: [{ text: item.content }]
-        }));
-        
-        const requestBody = { contents, generationConfig };
+        const requestBody = toGeminiRequest(model, chatHistory, options);
         
         // Send the streaming request
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${geminiApiKey}`;
-        const response = await Utils.fetchWithRetry(url, {
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${geminiKey()}`;
+        const response = await Utils.fetchCredentialed(url, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestBody)
+            body: JSON.stringify(requestBody),
+            signal: options.signal,
+            onRoute: options.onRoute
         }, 3, 1000, 10000);
         
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`API error ${response.status}: ${errText}`);
-        }
-        
         // Process the streaming response
         const reader = response.body.getReader();
         const decoder = new TextDecoder('utf-8');
         let done = false, buffer = '', fullReply = '';
+        let usage = null;
+        const toolCalls = [];
         
         while (!done) {
             const { value, done: doneReading } = await reader.read();
@@ -240,10 +869,17 @@ const ApiService = (function() {
                     try {
                         const parsed = JSON.parse(data);
                         const parts = parsed.candidates?.[0]?.content?.parts || [];
-                        const textChunk = parts[parts.length - 1]?.text || '';
+                        const textChunk = parts.map(part => part.text || '').join('');
+                        toolCalls.push(...geminiToolCalls(parts));
+                        // Every chunk carries running totals; the final one has the full count
+                        if (parsed.usageMetadata) {
+                            usage = geminiUsage(parsed.usageMetadata);
+                        }
                         
-                        fullReply += textChunk;
-                        if (onChunk) onChunk(textChunk, fullReply);
+                        if (textChunk) {
+                            fullReply += textChunk;
+                            if (onChunk) onChunk(textChunk, fullReply);
+                        }
                     } catch (err) {
                         console.error('Stream parsing error', err);
                     }
@@ -251,53 +887,572 @@ const ApiService = (function() {
             }
         }
         
-        return fullReply;
+        return { text: fullReply, toolCalls, usage };
     }
 
     /**
-     * Gets the token usage for the last interaction
-     * @param {string} model - The model used
-     * @param {Array} chatHistory - The current chat history
-     * @returns {Promise<number>} - The token count of the last interaction
+     * Builds an Anthropic Messages request body from the chat history.
+     * System messages move to the top-level `system` field and consecutive
+     * turns with the same role are merged, as the API requires alternation.
+     * @param {string} model - The model to use
+     * @param {Array} chatHistory - The message history
+     * @param {Object} [options] - Request options ({ tools, generation })
+     * @returns {Object} - The request body
      */
-    async function getTokenUsage(model, chatHistory) {
-        try {
-            let usageResult;
-            
-            if (model.startsWith('gpt')) {
-                // ChatGPT usage via non-stream call
-                const res = await sendOpenAIRequest(model, chatHistory);
-                return res.usage?.total_tokens || 0;
+    function toAnthropicRequest(model, chatHistory, options = {}) {
+        const system = chatHistory
+            .filter(item => item.role === 'system')
+            .map(item => item.content)
+            .join('\n\n');
+        const messages = [];
+        const append = (role, blocks) => {
+            if (!blocks.length) return;
+            const last = messages[messages.length - 1];
+            if (last && last.role === role) {
+                last.content.push(...blocks);
             } else {
-                // Gemini usage
-                const contents = chatHistory.map(item => ({
-                    role: item.role === 'assistant' ? 'model' : 'user',
-                    parts: [{ text: item.content }]
-                }));
-                
-                const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`;
-                const res = await Utils.fetchWithProxyRetry(url, {
-                    method: 'POST', 
-                    headers: { 'Content-Type': 'application/json' }, 
-                    body: JSON.stringify({ contents, generationConfig })
-                }, undefined, 3, 1000, 10000);
+                messages.push({ role, content: blocks });
+            }
+        };
+        chatHistory.forEach(item => {
+            if (item.role === 'system') return;
+            if (item.role === 'tool') {
+                append('user', [{ type: 'tool_result', tool_use_id: item.toolCallId, content: item.content }]);
+                return;
+            }
+            const blocks = contentParts(item.content).map(part => part.type === 'image'
+                ? { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } }
+                : { type: 'text', text: part.text });
+            (item.toolCalls || []).forEach(call => {
+                blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments });
+            });
+            append(item.role === 'assistant' ? 'assistant' : 'user', blocks);
+        });
+        // The conversation must open with a user turn
+        if (!messages.length || messages[0].role !== 'user') {
+            messages.unshift({ role: 'user', content: [{ type: 'text', text: 'Continue.' }] });
+        }
+        // A trailing assistant turn would be treated as a prefill (e.g. after tool results)
+        if (messages[messages.length - 1].role === 'assistant') {
+            messages.push({ role: 'user', content: [{ type: 'text', text: 'Continue based on the information above.' }] });
+        }
+        const generation = options.generation || {};
+        const body = {
+            model,
+            max_tokens: generation.maxOutputTokens || ANTHROPIC_MAX_TOKENS,
+            messages,
+            // Recent models reject temperature and top_p together, so temperature wins.
+            // Seeds and penalties have no Anthropic equivalent.
+            ...definedParams({
+                temperature: generation.temperature,
+                top_p: generation.temperature === undefined ? generation.topP : undefined,
+                stop_sequences: generation.stopSequences
+            })
+        };
+        if (system) body.system = system;
+        if (options.tools && options.tools.length) {
+            body.tools = options.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            }));
+        }
+        return body;
+    }
+
+    /**
+     * Builds the request headers for the Anthropic API
+     * @param {string} [key] - The API key, defaults to the saved one
+     * @returns {Object} - The headers
+     */
+    function anthropicHeaders(key = providerKeys.anthropic) {
+        if (!key) {
+            throw Utils.createApiError(Utils.ERROR_TYPES.AUTH, 'No Anthropic API key configured. Add one in Settings.');
+        }
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': key,
+            'anthropic-version': ANTHROPIC_VERSION,
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    }
+
+    // Anthropic error types, as reported in error bodies and stream events
+    const ANTHROPIC_ERROR_TYPES = {
+        authentication_error: Utils.ERROR_TYPES.AUTH,
+        permission_error: Utils.ERROR_TYPES.AUTH,
+        rate_limit_error: Utils.ERROR_TYPES.RATE_LIMIT,
+        overloaded_error: Utils.ERROR_TYPES.SERVER,
+        api_error: Utils.ERROR_TYPES.SERVER,
+        timeout_error: Utils.ERROR_TYPES.TIMEOUT
+    };
+
+    /**
+     * Turns an Anthropic `type: 'error'` payload into a typed error
+     * @param {Object} [error] - The payload's error object ({ type, message })
+     * @param {string} fallbackMessage - Message used when the payload has none
+     * @returns {Error} - The ApiError, retryable when the type is
+     */
+    function anthropicError(error, fallbackMessage) {
+        const type = ANTHROPIC_ERROR_TYPES[error?.type] || Utils.ERROR_TYPES.BAD_REQUEST;
+        return Utils.createApiError(type, error?.message || fallbackMessage);
+    }
+
+    /**
+     * Sends a non-streaming request to the Anthropic Messages API
+     * @param {string} model - The model to use
+     * @param {Array} chatHistory - The message history
+     * @param {Object} [options] - Request options ({ timeout, tools, generation, signal, onRoute })
+     * @returns {Promise<Object>} - The API response
+     */
+    async function sendAnthropicRequest(model, chatHistory, options = {}) {
+        const response = await Utils.fetchCredentialed('https://api.anthropic.com/v1/messages', {
+            method: 'POST',
+            headers: anthropicHeaders(),
+            body: JSON.stringify(toAnthropicRequest(model, chatHistory, options)),
+            signal: options.signal,
+            onRoute: options.onRoute
+        }, 3, 1000, options.timeout || COMPLETION_TIMEOUT);
+        
+        const result = await Utils.readJson(response);
+        if (result.type === 'error') {
+            throw anthropicError(result.error, 'Anthropic API error');
+        }
+        return result;
+    }
+
+    /**
+     * Sends a streaming request to the Anthropic Messages API
+     * @param {string} model - The model to use
+     * @param {Array} chatHistory - The message history
+     * @param {Function} onChunk - Callback for each chunk of data
+     * @param {Object} [options] - Request options ({ tools, generation, signal, onRoute })
+     * @returns {Promise<Object>} - { text, toolCalls, usage } for the full response
+     */
+    async function streamAnthropicRequest(model, chatHistory, onChunk, options = {}) {
+        const response = await Utils.fetchCredentialed('https://api.anthropic.com/v1/messages', {
+            method: 'POST',
+            headers: anthropicHeaders(),
+            body: JSON.stringify({ ...toAnthropicRequest(model, chatHistory, options), stream: true }),
+            signal: options.signal,
+            onRoute: options.onRoute
+        }, 3, 1000, 10000);
+        
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder('utf-8');
+        let done = false, buffer = '', fullReply = '';
+        const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        // tool_use blocks by content block index; their input arrives as JSON fragments
+        const toolBlocks = {};
+        
+        while (!done) {
+            const { value, done: doneReading } = await reader.read();
+            done = doneReading;
+            
+            buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            
+            for (const line of lines) {
+                // Event names are repeated in the payload's `type`, so only data lines matter
+                const parsed = Utils.parseSSELine(line);
+                if (!parsed || !parsed.data) continue;
+                const event = parsed.data;
                 
-                usageResult = await res.json();
-                return usageResult.usageMetadata?.totalTokenCount || 0;
+                if (event.type === 'message_start') {
+                    usage.promptTokens = event.message?.usage?.input_tokens || 0;
+                } else if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+                    toolBlocks[event.index] = { id: event.content_block.id, name: event.content_block.name, args: '' };
+                } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                    fullReply += event.delta.text;
+                    if (onChunk) onChunk(event.delta.text, fullReply);
+                } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+                    if (toolBlocks[event.index]) toolBlocks[event.index].args += event.delta.partial_json;
+                } else if (event.type === 'message_delta') {
+                    usage.completionTokens = event.usage?.output_tokens || usage.completionTokens;
+                } else if (event.type === 'message_stop') {
+                    done = true;
+                    break;
+                } else if (event.type === 'error') {
+                    throw anthropicError(event.error, 'Anthropic stream error');
+                }
             }
-        } catch (err) {
-            console.error('Error fetching token usage:', err);
-            return 0;
         }
+        
+        usage.totalTokens = usage.promptTokens + usage.completionTokens;
+        const toolCalls = Object.values(toolBlocks).map(block => ({
+            id: block.id,
+            name: block.name,
+            arguments: parseToolArguments(block.args)
+        }));
+        return { text: fullReply, toolCalls, usage };
+    }
+
+    // Provider adapter registry
+    const providers = [];
+
+    /**
+     * Registers a provider adapter. Adapters declare how to talk to one API:
+     * matches(model), supportsTools(model), supportsSchema(model), send(), stream(), listModels(),
+     * extractText(), extractToolCalls() and extractUsage(), and optionally
+     * testKey(key, options) to check an API key with a cheap call and
+     * toolResult(tool, input) to answer tool calls without the network.
+     * Registering an adapter with an existing id replaces it.
+     * @param {Object} adapter - The provider adapter
+     */
+    function registerProvider(adapter) {
+        const index = providers.findIndex(p => p.id === adapter.id);
+        if (index >= 0) {
+            providers[index] = adapter;
+        } else {
+            providers.push(adapter);
+        }
+    }
+
+    /**
+     * Finds the provider adapter responsible for a model
+     * @param {string} model - The model name
+     * @returns {Object} - The provider adapter
+     */
+    function getProvider(model) {
+        const provider = providers.find(p => p.matches(model));
+        if (!provider) {
+            throw new Error(`No provider registered for model "${model}"`);
+        }
+        return provider;
+    }
+
+    /**
+     * Checks whether a model can be offered tools through its provider's native tool API
+     * @param {string} model - The model name
+     * @returns {boolean} - Whether native function calling is available
+     */
+    function supportsTools(model) {
+        return getProvider(model).supportsTools(model);
+    }
+
+    /**
+     * Checks whether a model is known to accept images.
+     * Unknown models, such as most local ones, are assumed not to.
+     * @param {string} model - The model name
+     * @returns {boolean} - Whether images can be sent
+     */
+    function supportsVision(model) {
+        return describeModel(model).capabilities.vision;
+    }
+
+    /**
+     * Prepares messages and options for a provider. Tools are only passed to
+     * models with native tool support. Native tool turns are only sent along with
+     * tools, as APIs reject tool calls and results in requests that define none,
+     * e.g. comparison or structured replies; otherwise they are flattened to text.
+     * Likewise a response schema is passed natively where the API takes one,
+     * and otherwise asked for in a system message.
+     * @param {Object} provider - The provider adapter
+     * @param {string} model - The model name
+     * @param {Array} messages - The message history
+     * @param {Object} options - Request options
+     * @returns {Object} - { messages, options }
+     */
+    function prepareRequest(provider, model, messages, options) {
+        const sendsTools = Boolean(options.tools && options.tools.length) && provider.supportsTools(model);
+        let request = sendsTools
+            ? { messages, options }
+            : { messages: flattenToolMessages(messages), options: { ...options, tools: undefined } };
+        if (options.responseSchema && !(provider.supportsSchema && provider.supportsSchema(model))) {
+            const instruction = 'Reply with only a JSON value, without code fences or any other text, ' +
+                `that is valid against this JSON Schema:\n${JSON.stringify(options.responseSchema, null, 2)}`;
+            request = {
+                messages: [{ role: 'system', content: instruction }, ...request.messages],
+                options: { ...request.options, responseSchema: undefined }
+            };
+        }
+        return request;
+    }
+
+    // Failures another model may not share: its provider has its own limits, credit and servers
+    const FALLBACK_ERROR_TYPES = [
+        Utils.ERROR_TYPES.RATE_LIMIT,
+        Utils.ERROR_TYPES.QUOTA,
+        Utils.ERROR_TYPES.SERVER,
+        Utils.ERROR_TYPES.NETWORK,
+        Utils.ERROR_TYPES.TIMEOUT
+    ];
+
+    /**
+     * Checks whether a failure should move on to the next model of a fallback chain:
+     * rate limits, used-up quota, outages and timeouts, but not bad requests or missing keys
+     * @param {Error} err - The request error
+     * @returns {boolean} - True if another model may succeed
+     */
+    function isFallbackError(err) {
+        return Boolean(err) && FALLBACK_ERROR_TYPES.includes(err.type);
+    }
+
+    /**
+     * Runs a request against a model, then against each fallback in turn while
+     * the failures are rate limits or outages
+     * @param {string} model - The preferred model
+     * @param {Array} messages - The message history for the preferred model
+     * @param {Object} options - Request options; `fallbacks` lists [{ model, messages, generation }]
+     * @param {Function} attempt - async (model, messages, options) => result
+     * @param {Function} [canFallBack] - Decides whether an error moves on to the next model
+     * @returns {Promise<Object>} - The result, with `model` set to the model that answered
+     *   and `fallbackFrom` to the preferred model when another one answered
+     */
+    async function withFallback(model, messages, options, attempt, canFallBack = isFallbackError) {
+        const { fallbacks = [], ...requestOptions } = options;
+        const chain = [{ model, messages, generation: options.generation }, ...fallbacks];
+        for (let i = 0; i < chain.length; i++) {
+            const link = chain[i];
+            try {
+                const result = await attempt(link.model, link.messages || messages, { ...requestOptions, generation: link.generation });
+                return { ...result, model: link.model, fallbackFrom: i > 0 ? model : null };
+            } catch (err) {
+                if (i === chain.length - 1 || options.signal?.aborted || !canFallBack(err)) throw err;
+                console.warn(`${link.model} failed (${err.message}), falling back to ${chain[i + 1].model}`);
+            }
+        }
+    }
+
+    /**
+     * Completes a conversation with the given model (non-streaming)
+     * @param {string} model - The model to use
+     * @param {Array} messages - The message history
+     * @param {Object} [options] - Request options ({ timeout, tools, generation, responseSchema, fallbacks, signal })
+     * @returns {Promise<Object>} - { text, toolCalls, usage, raw, route, model, fallbackFrom },
+     *   route saying how the request reached the provider (null for offline models)
+     */
+    async function complete(model, messages, options = {}) {
+        return withFallback(model, messages, options, async (attemptModel, attemptMessages, attemptOptions) => {
+            const provider = getProvider(attemptModel);
+            const request = prepareRequest(provider, attemptModel, attemptMessages, attemptOptions);
+            let route = null;
+            const raw = await provider.send(attemptModel, request.messages, { ...request.options, onRoute: r => { route = r; } });
+            return {
+                text: provider.extractText(raw),
+                toolCalls: provider.extractToolCalls(raw),
+                usage: provider.extractUsage(raw),
+                raw,
+                route
+            };
+        });
+    }
+
+    /**
+     * Completes a conversation with the given model, streaming the reply.
+     * Falls back to the next model only while nothing has been streamed yet.
+     * @param {string} model - The model to use
+     * @param {Array} messages - The message history
+     * @param {Function} onChunk - Callback for each chunk of text
+     * @param {Object} [options] - Request options ({ tools, generation, responseSchema, fallbacks, signal })
+     * @returns {Promise<Object>} - { text, toolCalls, usage, route, model, fallbackFrom },
+     *   usage is null if the stream does not report it
+     */
+    async function streamComplete(model, messages, onChunk, options = {}) {
+        let streamed = false;
+        const forwardChunk = (...args) => {
+            streamed = true;
+            onChunk(...args);
+        };
+        return withFallback(model, messages, options, async (attemptModel, attemptMessages, attemptOptions) => {
+            const provider = getProvider(attemptModel);
+            const request = prepareRequest(provider, attemptModel, attemptMessages, attemptOptions);
+            let route = null;
+            const result = await provider.stream(attemptModel, request.messages, forwardChunk, { ...request.options, onRoute: r => { route = r; } });
+            return { ...result, route };
+        }, err => !streamed && isFallbackError(err));
+    }
+
+    /**
+     * Checks an API key with one request to a free endpoint, such as the model list
+     * @param {string} url - The endpoint
+     * @param {Object} [headers] - Request headers carrying the key
+     * @returns {Promise<void>} - Rejects with an ApiError if the key is refused
+     */
+    async function checkKey(url, headers = {}) {
+        await Utils.fetchCredentialed(url, { headers }, 1, 0, 10000);
+    }
+
+    /**
+     * Creates the error for testing a key that was not entered
+     * @returns {Error} - An auth ApiError
+     */
+    function missingKeyError() {
+        return Utils.createApiError(Utils.ERROR_TYPES.AUTH, 'Enter a key to test');
+    }
+
+    /**
+     * Creates an adapter for an API that speaks OpenAI chat completions
+     * @param {string} id - The provider id
+     * @param {string} label - Display name
+     * @param {Function} matches - Predicate selecting the models this adapter serves
+     * @param {boolean} nativeTools - Whether the API accepts `tools`
+     * @param {boolean} nativeSchema - Whether the API accepts a JSON Schema `response_format`
+     * @returns {Object} - The provider adapter
+     */
+    function createOpenAICompatibleProvider(id, label, matches, nativeTools, nativeSchema) {
+        return {
+            id,
+            label,
+            matches,
+            supportsTools: () => nativeTools,
+            supportsSchema: () => nativeSchema,
+            send: async (model, messages, options) => {
+                const result = await sendOpenAIRequest(model, messages, options);
+                if (result.error) {
+                    throw new Error(result.error.message);
+                }
+                return result;
+            },
+            stream: (model, messages, onChunk, options) => streamOpenAIRequest(model, messages, onChunk, options),
+            listModels: () => listOpenAIModels(id === 'local'),
+            testKey: async (key, options = {}) => {
+                if (id !== 'local') {
+                    if (!key) throw missingKeyError();
+                    return checkKey(OPENAI_BASE_URL + '/models', { Authorization: 'Bearer ' + key });
+                }
+                // The URL being edited in settings may not be saved yet
+                const baseUrl = (options.baseUrl || customBaseUrl).trim().replace(/\/+$/, '');
+                if (!baseUrl) {
+                    throw new Error('No custom endpoint configured. Set its base URL in Settings.');
+                }
+                // Local servers may not need a key
+                return checkKey(baseUrl + '/models', key ? { Authorization: 'Bearer ' + key } : {});
+            },
+            extractText: result => result.choices?.[0]?.message?.content || '',
+            extractToolCalls: result => (result.choices?.[0]?.message?.tool_calls || []).map(call => ({
+                id: call.id || createToolCallId(),
+                name: call.function.name,
+                arguments: parseToolArguments(call.function.arguments)
+            })),
+            extractUsage: result => openAIUsage(result.usage)
+        };
+    }
+
+    registerProvider(createOpenAICompatibleProvider('openai', 'OpenAI', model => model.startsWith('gpt'), true, true));
+    // Tool support varies between local servers, so they use the JSON-text protocol
+    registerProvider(createOpenAICompatibleProvider('local', 'Custom endpoint', model => model.startsWith(LOCAL_MODEL_PREFIX), false, false));
+
+    registerProvider({
+        id: 'gemini',
+        label: 'Google Gemini',
+        matches: model => model.startsWith('gemini') || model.startsWith('gemma'),
+        // Gemma models have no function calling
+        supportsTools: model => model.startsWith('gemini'),
+        // Gemma models have no JSON mode
+        supportsSchema: model => model.startsWith('gemini'),
+        send: (model, messages, options) => createGeminiSession(model).sendMessage(messages, options),
+        stream: (model, messages, onChunk, options) => streamGeminiRequest(model, messages, onChunk, options),
+        listModels: async () => {
+            if (!providerKeys.gemini) return [];
+            const url = `https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&key=${geminiKey()}`;
+            const response = await Utils.fetchCredentialed(url, {}, 2, 1000, 10000);
+            const result = await Utils.readJson(response);
+            return (result.models || [])
+                .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+                .map(m => ({ ...m, id: m.name.replace(/^models\//, '') }))
+                .filter(m => m.id.startsWith('gemini') || m.id.startsWith('gemma'))
+                .map(m => describeModel(m.id, m.displayName, m.inputTokenLimit));
+        },
+        testKey: async key => {
+            if (!key) throw missingKeyError();
+            return checkKey(`https://generativelanguage.googleapis.com/v1beta/models?pageSize=1&key=${encodeURIComponent(key)}`);
+        },
+        extractText: result => {
+            const content = result.candidates?.[0]?.content;
+            if (!content) return '';
+            if (content.parts) {
+                return content.parts.map(p => p.text || '').join('');
+            }
+            return content.text || '';
+        },
+        extractToolCalls: result => geminiToolCalls(result.candidates?.[0]?.content?.parts),
+        extractUsage: result => geminiUsage(result.usageMetadata)
+    });
+
+    registerProvider({
+        id: 'anthropic',
+        label: 'Anthropic',
+        matches: model => model.startsWith('claude'),
+        supportsTools: () => true,
+        supportsSchema: () => false,
+        send: (model, messages, options) => sendAnthropicRequest(model, messages, options),
+        stream: (model, messages, onChunk, options) => streamAnthropicRequest(model, messages, onChunk, options),
+        listModels: async () => {
+            if (!providerKeys.anthropic) return [];
+            const response = await Utils.fetchCredentialed('https://api.anthropic.com/v1/models?limit=100', {
+                headers: anthropicHeaders()
+            }, 2, 1000, 10000);
+            const result = await Utils.readJson(response);
+            return (result.data || []).map(m => describeModel(m.id, m.display_name));
+        },
+        testKey: async key => {
+            if (!key) throw missingKeyError();
+            return checkKey('https://api.anthropic.com/v1/models?limit=1', anthropicHeaders(key));
+        },
+        extractText: result => (result.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join(''),
+        extractToolCalls: result => (result.content || [])
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+        extractUsage: result => {
+            const promptTokens = result.usage?.input_tokens || 0;
+            const completionTokens = result.usage?.output_tokens || 0;
+            return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+        }
+    });
+
+    /**
+     * Queries every configured provider for the models it serves
+     * @returns {Promise<Array>} - [{ providerId, label, models, error }] in registration order.
+     *   Providers without credentials are left out; failed ones carry an error message.
+     */
+    async function listModels() {
+        const groups = await Promise.all(providers.map(async provider => {
+            if (!provider.listModels) return null;
+            try {
+                const models = await provider.listModels();
+                return models.length ? { providerId: provider.id, label: provider.label, models } : null;
+            } catch (err) {
+                console.error(`Error listing ${provider.label} models:`, err);
+                return { providerId: provider.id, label: provider.label, models: [], error: err.message };
+            }
+        }));
+        return groups.filter(Boolean);
     }
 
     // Public API
     return {
         init,
+        unlock,
+        getSessionKey,
+        lock,
+        isUnlocked,
+        hasVault,
+        hasLegacyKeys,
+        createVault,
+        resetVault,
         sendOpenAIRequest,
         streamOpenAIRequest,
         createGeminiSession,
         streamGeminiRequest,
-        getTokenUsage
+        sendAnthropicRequest,
+        streamAnthropicRequest,
+        setProviderKey,
+        hasProviderKey,
+        testProviderKey,
+        setCustomEndpoint,
+        registerProvider,
+        getProvider,
+        supportsTools,
+        supportsVision,
+        describeModel,
+        contentText,
+        listModels,
+        complete,
+        streamComplete
     };
-})(); 
\ No newline at end of file
+})();
\ No newline at end of file
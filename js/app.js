@@ -8,6 +8,38 @@ const App = (function() {
     
     // Private state
     let loginModal = null;
+    // What the unlock screen does: 'unlock' the vault, 'create' one, or 'migrate'
+    // keys saved by an earlier version, which needs their old password
+    let loginMode = 'unlock';
+    // A new vault password must be at least this long
+    const MIN_PASSWORD_LENGTH = 8;
+    // Activity that keeps the unlocked session from locking itself
+    const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+    // When the user was last active, and the timer that locks after inactivity
+    let lastActivity = Date.now();
+    let autoLockTimer = null;
+    // While a reply is generated, inactivity is checked this often so its end counts as activity
+    const GENERATION_CHECK_INTERVAL = 60 * 1000;
+    // Earlier versions remembered the password until logout; its replacement keeps the longest choice
+    const LEGACY_REMEMBER_HOURS = 168;
+    // Texts of the unlock screen in each mode
+    const LOGIN_SCREENS = {
+        unlock: {
+            title: 'Unlock your API keys',
+            intro: 'Enter the password that protects the API keys saved on this device.',
+            button: 'Unlock'
+        },
+        create: {
+            title: 'Protect your API keys',
+            intro: 'Choose a password to encrypt the API keys you add in Settings. They are stored only on this device, and the password cannot be recovered.',
+            button: 'Create'
+        },
+        migrate: {
+            title: 'Move your API keys',
+            intro: 'Enter the password you used before. Your saved API keys will be moved into the new encrypted store and protected by it.',
+            button: 'Unlock'
+        }
+    };
 
     /**
      * Initializes the application
@@ -16,37 +48,177 @@ const App = (function() {
         // Initialize UI controller
         UIController.init();
         
-        // Load saved settings from cookie
-        const savedSettings = Utils.getSettingsFromCookie() || {};
-        
-        // Initialize settings controller with saved settings
+        // Load the saved settings and hand them to the chat controller
         SettingsController.init();
         
-        // Initialize chat controller with settings
-        ChatController.init(savedSettings);
+        // Initialize chat controller
+        ChatController.init();
+        
+        // Initialize the sidebar of saved conversations
+        LibraryController.init();
         
         // Show main container (will be visible but login modal on top)
         document.getElementById('chat-container').style.display = 'flex';
         
-        // Check for saved password
-        checkPasswordOrPrompt();
+        setupSessionMenu();
+        ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, recordActivity, { capture: true, passive: true }));
+        // Timers are throttled in background tabs, so check again on return
+        document.addEventListener('visibilitychange', checkInactivity);
+        
+        // Check for a remembered session
+        checkPasswordOrPrompt().catch(err => {
+            console.error('Error restoring the session:', err);
+            showLoginModal();
+        });
     }
 
     /**
-     * Checks for a saved password or prompts the user
+     * Unlocks with the session key remembered on this device, or with a password
+     * remembered by an earlier version, otherwise prompts the user
+     * @returns {Promise<void>}
      */
-    function checkPasswordOrPrompt() {
+    async function checkPasswordOrPrompt() {
+        const savedKey = await Utils.loadSessionKey();
+        if (savedKey && await ApiService.unlock(savedKey)) {
+            sessionUnlocked();
+            return;
+        }
+        
+        // Earlier versions kept the password itself in a cookie; swap it for the key
         const savedPassword = Utils.getPasswordFromCookie();
+        if (savedPassword && await (ApiService.hasVault()
+            ? ApiService.init(savedPassword)
+            : ApiService.createVault(savedPassword))) {
+            await Utils.clearSavedPassword();
+            SettingsController.updateSettings({ rememberHours: LEGACY_REMEMBER_HOURS });
+            await rememberSession(LEGACY_REMEMBER_HOURS);
+            sessionUnlocked();
+            return;
+        }
         
-        if (savedPassword) {
-            doLogin(savedPassword);
+        await Utils.clearSavedPassword();
+        showLoginModal();
+    }
+
+    /**
+     * Remembers the unlocked session on this device for a while
+     * @param {number} hours - How long to stay unlocked across reloads
+     * @returns {Promise<void>}
+     */
+    async function rememberSession(hours) {
+        try {
+            await Utils.saveSessionKey(ApiService.getSessionKey(), Date.now() + hours * 60 * 60 * 1000);
+        } catch (err) {
+            console.error('Error remembering the session:', err);
+        }
+    }
+
+    /**
+     * Starts using the unlocked API keys and the inactivity timer
+     */
+    function sessionUnlocked() {
+        recordActivity();
+        discoverModels();
+    }
+
+    /**
+     * Notes user activity and restarts the inactivity timer
+     */
+    function recordActivity() {
+        lastActivity = Date.now();
+        scheduleAutoLock();
+    }
+
+    /**
+     * Arms the timer that locks the API keys after the configured inactivity
+     */
+    function scheduleAutoLock() {
+        clearTimeout(autoLockTimer);
+        autoLockTimer = null;
+        const minutes = SettingsController.getSettings().autoLockMinutes;
+        if (!minutes || !ApiService.isUnlocked()) return;
+        const remaining = lastActivity + minutes * 60 * 1000 - Date.now();
+        autoLockTimer = setTimeout(checkInactivity, Math.max(0, remaining));
+    }
+
+    /**
+     * Locks the API keys if the user has been away too long, else waits for the rest.
+     * A running reply or tool workflow counts as activity, so it is never cut short.
+     */
+    function checkInactivity() {
+        const minutes = SettingsController.getSettings().autoLockMinutes;
+        if (!minutes || !ApiService.isUnlocked()) return;
+        if (ChatController.isGenerating()) {
+            lastActivity = Date.now();
+            clearTimeout(autoLockTimer);
+            autoLockTimer = setTimeout(checkInactivity, GENERATION_CHECK_INTERVAL);
+            return;
+        }
+        if (Date.now() - lastActivity >= minutes * 60 * 1000) {
+            lock();
         } else {
-            showLoginModal();
+            scheduleAutoLock();
         }
     }
+
+    /**
+     * Locks the session: stops running requests, wipes the decrypted API keys from
+     * memory, forgets the remembered session and asks for the password again.
+     * The conversation stays on screen.
+     */
+    function lock() {
+        clearTimeout(autoLockTimer);
+        autoLockTimer = null;
+        closeSessionMenu();
+        ChatController.stopGeneration();
+        ApiService.lock();
+        SettingsController.hideSettingsModal();
+        Utils.clearSavedPassword();
+        showLoginModal();
+    }
+
+    /**
+     * Wires the header menu with Lock and Log out
+     */
+    function setupSessionMenu() {
+        const menuButton = document.getElementById('session-menu-button');
+        const menu = document.getElementById('session-menu');
+        menuButton.addEventListener('click', function(event) {
+            event.stopPropagation();
+            if (menu.hidden) {
+                menu.hidden = false;
+                menuButton.setAttribute('aria-expanded', 'true');
+                document.getElementById('lock-button').focus();
+            } else {
+                closeSessionMenu();
+            }
+        });
+        menu.addEventListener('keydown', function(event) {
+            if (event.key === 'Escape') {
+                closeSessionMenu();
+                menuButton.focus();
+            }
+        });
+        document.addEventListener('click', function(event) {
+            if (!menu.contains(event.target)) {
+                closeSessionMenu();
+            }
+        });
+        document.getElementById('lock-button').addEventListener('click', lock);
+        document.getElementById('logout-button').addEventListener('click', logOut);
+    }
+
+    /**
+     * Closes the header menu with Lock and Log out
+     */
+    function closeSessionMenu() {
+        document.getElementById('session-menu').hidden = true;
+        document.getElementById('session-menu-button').setAttribute('aria-expanded', 'false');
+    }
     
     /**
-     * Creates and shows the login modal
+     * Creates and shows the unlock screen, set up to create the vault of
+     * API keys on first use
      */
     function showLoginModal() {
         if (!loginModal) {
@@ -56,80 +228,150 @@ const App = (function() {
             
             // Setup event listeners
             document.getElementById('login-button').addEventListener('click', handleLogin);
-            document.getElementById('api-password').addEventListener('keydown', function(event) {
-                if (event.key === 'Enter') {
-                    handleLogin();
-                }
+            document.getElementById('reset-vault').addEventListener('click', resetVault);
+            ['api-password', 'api-password-confirm'].forEach(id => {
+                document.getElementById(id).addEventListener('keydown', function(event) {
+                    if (event.key === 'Enter') {
+                        handleLogin();
+                    }
+                });
             });
-            
-            // Focus the password input
-            setTimeout(() => {
-                document.getElementById('api-password').focus();
-            }, 100);
         }
         
+        if (ApiService.hasVault()) {
+            loginMode = 'unlock';
+        } else {
+            loginMode = ApiService.hasLegacyKeys() ? 'migrate' : 'create';
+        }
+        const screen = LOGIN_SCREENS[loginMode];
+        document.getElementById('login-title').textContent = screen.title;
+        document.getElementById('login-intro').textContent = screen.intro;
+        document.getElementById('login-button').textContent = screen.button;
+        document.getElementById('api-password').autocomplete = loginMode === 'create' ? 'new-password' : 'current-password';
+        document.getElementById('confirm-password-item').hidden = loginMode !== 'create';
+        document.getElementById('reset-vault').hidden = loginMode === 'create';
+        
+        document.getElementById('remember-hours').value = String(SettingsController.getSettings().rememberHours);
+        
         loginModal.style.display = 'flex';
         document.getElementById('login-error').style.display = 'none';
+        
+        // Focus the password input
+        setTimeout(() => {
+            document.getElementById('api-password').focus();
+        }, 100);
+    }
+
+    /**
+     * Shows an error on the unlock screen
+     * @param {string} message - The error
+     */
+    function showLoginError(message) {
+        document.getElementById('login-error').textContent = message;
+        document.getElementById('login-error').style.display = 'block';
     }
     
     /**
-     * Handles login form submission
+     * Handles the unlock screen: unlocks the vault, or creates it on first use
+     * @returns {Promise<void>}
      */
-    function handleLogin() {
+    async function handleLogin() {
         const passwordInput = document.getElementById('api-password');
-        const rememberCheckbox = document.getElementById('remember-password');
+        const confirmInput = document.getElementById('api-password-confirm');
+        const rememberSelect = document.getElementById('remember-hours');
+        const loginButton = document.getElementById('login-button');
         const password = passwordInput.value.trim();
         
         if (!password) {
-            document.getElementById('login-error').textContent = 'Password is required.';
-            document.getElementById('login-error').style.display = 'block';
+            showLoginError('Password is required.');
             return;
         }
+        if (loginMode === 'create') {
+            if (password.length < MIN_PASSWORD_LENGTH) {
+                showLoginError(`Use at least ${MIN_PASSWORD_LENGTH} characters.`);
+                return;
+            }
+            if (confirmInput.value.trim() !== password) {
+                showLoginError('The passwords do not match.');
+                return;
+            }
+        }
         
-        const success = ApiService.init(password);
+        // Deriving the key takes a moment
+        loginButton.disabled = true;
+        let success = false;
+        try {
+            success = loginMode === 'unlock'
+                ? await ApiService.init(password)
+                : await ApiService.createVault(password);
+        } catch (err) {
+            console.error('Error opening the key vault:', err);
+        }
+        loginButton.disabled = false;
         
         if (success) {
-            // Store remember password setting
-            const settings = ChatController.getSettings();
-            settings.rememberPassword = rememberCheckbox.checked;
-            ChatController.updateSettings(settings);
+            // Keep the choice for the next login
+            const rememberHours = Number(rememberSelect.value) || 0;
+            SettingsController.updateSettings({ rememberHours });
             
-            // Save password if remember is checked
-            if (rememberCheckbox.checked) {
-                Utils.savePasswordToCookie(password);
+            // Remember the derived key, never the password
+            if (rememberHours > 0) {
+                await rememberSession(rememberHours);
             }
             
             // Hide the login modal
             loginModal.style.display = 'none';
+            passwordInput.value = '';
+            confirmInput.value = '';
+            sessionUnlocked();
+            // A new vault is empty; the keys are entered in settings
+            if (loginMode === 'create') {
+                SettingsController.showSettingsModal();
+            }
         } else {
             // Show error message
-            document.getElementById('login-error').textContent = 'Invalid password. Please try again.';
-            document.getElementById('login-error').style.display = 'block';
-            Utils.clearSavedPassword();
+            showLoginError('Invalid password. Please try again.');
             passwordInput.value = '';
             passwordInput.focus();
         }
     }
-    
+
     /**
-     * Attempts to login with the provided password
-     * @param {string} password - The API key password
+     * Deletes the saved API keys after a forgotten password, so a new vault can be created
+     * @returns {Promise<void>}
      */
-    function doLogin(password) {
-        const success = ApiService.init(password);
-        
-        if (!success) {
-            Utils.clearSavedPassword();
-            showLoginModal();
+    async function resetVault() {
+        if (!confirm('Delete the API keys saved on this device? You will need to enter them again.')) {
+            return;
+        }
+        ApiService.resetVault();
+        await Utils.clearSavedPassword();
+        document.getElementById('api-password').value = '';
+        showLoginModal();
+    }
+
+    /**
+     * Fills the model selector from the providers once their keys are unlocked
+     */
+    function discoverModels() {
+        SettingsController.loadModelCatalog().catch(err => {
+            console.error('Error discovering models:', err);
+        });
+        // A mock model's fixture says whether it calls tools natively, which is needed before the first request
+        if (SettingsController.getSettings().selectedModel.startsWith('mock:')) {
+            MockProvider.loadFixture().catch(err => console.error('Error loading the mock fixture:', err));
         }
     }
     
     /**
-     * Logs the user out by clearing saved credentials
+     * Logs the user out: wipes the API keys from memory, forgets the remembered
+     * session and reloads, which also clears the conversation
      */
     function logOut() {
-        Utils.clearSavedPassword();
-        location.reload();
+        closeSessionMenu();
+        ChatController.stopGeneration();
+        ApiService.lock();
+        Utils.clearSavedPassword().finally(() => location.reload());
     }
 
     // Initialize the app when the DOM is ready
@@ -138,6 +380,7 @@ const App = (function() {
     // Public API
     return {
         init,
+        lock,
         logOut
     };
 })();
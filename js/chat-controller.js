@@ -9,7 +9,9 @@ const ChatController = (function() {
     // Private state
     let chatHistory = [];
     let totalTokens = 0;
-    let settings = { streaming: false, enableCoT: false, showThinking: true };
+    let promptTokens = 0;
+    let completionTokens = 0;
+    let settings = SettingsStore.getDefaults();
     let isThinking = false;
     let lastThinkingContent = '';
     let lastAnswerContent = '';
@@ -27,15 +29,45 @@ const ChatController = (function() {
     let originalUserQuestion = '';
     // Add a flag to control tool workflow
     let toolWorkflowActive = true;
+    // Cancels the running sendMessage workflow when the user presses Stop
+    let abortController = null;
+    // Images and documents waiting to be sent with the next message
+    let pendingAttachments = [];
+    // The latest comparison, whose kept reply can be changed until the next message
+    let openComparison = null;
+    // Id of this conversation in the library, null until it is first saved
+    let conversationId = null;
+    // Saves are batched while a workflow renders its steps, and written one after another
+    let saveTimer = null;
+    let conversationWrite = Promise.resolve();
+    const SAVE_DELAY = 500; // ms
+    // Formats every provider with vision accepts
+    const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+    const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+    const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
+    const MAX_ATTACHMENTS = 10;
+    // Attached files longer than this are summarized before they are sent
+    const MAX_INLINE_DOCUMENT_LENGTH = 12000; // chars
+    const DOCUMENT_CHUNK_SIZE = 2000; // chars, as for deep reading web pages
+    const MAX_PROMPT_LENGTH = 5857; // chars, safe for most models
+    const SUMMARIZATION_TIMEOUT = 88000; // 88 seconds
+    // Structured replies that fail the schema are sent back this many times
+    const MAX_SCHEMA_REPAIRS = 2;
 
-    // Add helper to robustly extract JSON tool calls (handles markdown fences)
+    /**
+     * Extracts a JSON-text tool call, the fallback protocol for models without
+     * native tool support. The whole reply must be a single JSON object,
+     * optionally wrapped in a markdown code fence.
+     * @param {string} text - The model reply
+     * @returns {Object|null} - The parsed tool call or null
+     */
     function extractToolCall(text) {
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) return null;
+        const candidate = text.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1').trim();
+        if (!candidate.startsWith('{') || !candidate.endsWith('}')) return null;
         try {
-            return JSON.parse(jsonMatch[0]);
+            return JSON.parse(candidate);
         } catch (err) {
-            console.warn('Tool JSON parse error:', err, 'from', jsonMatch[0]);
+            console.warn('Tool JSON parse error:', err, 'from', candidate);
             return null;
         }
     }
@@ -52,101 +84,8 @@ const ChatController = (function() {
 Begin Reasoning Now:
 `;
 
-    // Tool handler registry
-    const toolHandlers = {
-        web_search: async function(args) {
-            if (!args.query || typeof args.query !== 'string' || !args.query.trim()) {
-                UIController.addMessage('ai', 'Error: Invalid web_search query.');
-                return;
-            }
-            const engine = args.engine || 'duckduckgo';
-            UIController.showSpinner(`Searching (${engine}) for "${args.query}"...`);
-            UIController.showStatus(`Searching (${engine}) for "${args.query}"...`);
-            let results = [];
-            try {
-                const streamed = [];
-                results = await ToolsService.webSearch(args.query, (result) => {
-                    streamed.push(result);
-                    // Pass highlight flag if this index is in highlightedResultIndices
-                    const idx = streamed.length - 1;
-                    UIController.addSearchResult(result, (url) => {
-                        processToolCall({ tool: 'read_url', arguments: { url, start: 0, length: 1122 } });
-                    }, highlightedResultIndices.has(idx));
-                }, engine);
-                if (!results.length) {
-                    UIController.addMessage('ai', `No search results found for "${args.query}".`);
-                }
-                const plainTextResults = results.map((r, i) => `${i+1}. ${r.title} (${r.url}) - ${r.snippet}`).join('\n');
-                chatHistory.push({ role: 'assistant', content: `Search results for "${args.query}" (${results.length}):\n${plainTextResults}` });
-                lastSearchResults = results;
-                // Prompt AI to suggest which results to read
-                await suggestResultsToRead(results, args.query);
-            } catch (err) {
-                UIController.hideSpinner();
-                UIController.addMessage('ai', `Web search failed: ${err.message}`);
-                chatHistory.push({ role: 'assistant', content: `Web search failed: ${err.message}` });
-            }
-            UIController.hideSpinner();
-            UIController.clearStatus();
-        },
-        read_url: async function(args) {
-            if (!args.url || typeof args.url !== 'string' || !/^https?:\/\//.test(args.url)) {
-                UIController.addMessage('ai', 'Error: Invalid read_url argument.');
-                return;
-            }
-            UIController.showSpinner(`Reading content from ${args.url}...`);
-            UIController.showStatus(`Reading content from ${args.url}...`);
-            try {
-                const result = await ToolsService.readUrl(args.url);
-                const start = (typeof args.start === 'number' && args.start >= 0) ? args.start : 0;
-                const length = (typeof args.length === 'number' && args.length > 0) ? args.length : 1122;
-                const snippet = String(result).slice(start, start + length);
-                const hasMore = (start + length) < String(result).length;
-                UIController.addReadResult(args.url, snippet, hasMore);
-                const plainTextSnippet = `Read content from ${args.url}:\n${snippet}${hasMore ? '...' : ''}`;
-                chatHistory.push({ role: 'assistant', content: plainTextSnippet });
-                // Collect snippets for summarization
-                readSnippets.push(snippet);
-                if (readSnippets.length >= 2) {
-                    UIController.addSummarizeButton(() => summarizeSnippets());
-                }
-            } catch (err) {
-                UIController.hideSpinner();
-                UIController.addMessage('ai', `Read URL failed: ${err.message}`);
-                chatHistory.push({ role: 'assistant', content: `Read URL failed: ${err.message}` });
-            }
-            UIController.hideSpinner();
-            UIController.clearStatus();
-        },
-        instant_answer: async function(args) {
-            if (!args.query || typeof args.query !== 'string' || !args.query.trim()) {
-                UIController.addMessage('ai', 'Error: Invalid instant_answer query.');
-                return;
-            }
-            UIController.showStatus(`Retrieving instant answer for "${args.query}"...`);
-            try {
-                const result = await ToolsService.instantAnswer(args.query);
-                const text = JSON.stringify(result, null, 2);
-                UIController.addMessage('ai', text);
-                chatHistory.push({ role: 'assistant', content: text });
-            } catch (err) {
-                UIController.clearStatus();
-                UIController.addMessage('ai', `Instant answer failed: ${err.message}`);
-                chatHistory.push({ role: 'assistant', content: `Instant answer failed: ${err.message}` });
-            }
-            UIController.clearStatus();
-        }
-    };
-
-    /**
-     * Initializes the chat controller
-     * @param {Object} initialSettings - Initial settings for the chat
-     */
-    function init(initialSettings) {
-        // Reset and seed chatHistory with system tool instructions
-        chatHistory = [{
-            role: 'system',
-            content: `You are an AI assistant with access to three external tools. You MUST use these tools to answer any question that requires up-to-date facts, statistics, or detailed content. Do NOT attempt to answer such questions from your own knowledge. The tools are:
+    // Tool instructions for models without native tool support (JSON-text protocol)
+    const jsonToolPrompt = `You are an AI assistant with access to three external tools. You MUST use these tools to answer any question that requires up-to-date facts, statistics, or detailed content. Do NOT attempt to answer such questions from your own knowledge. The tools are:
 
 1. web_search(query) → returns a JSON array of search results [{title, url, snippet}, …]
 2. read_url(url[, start, length]) → returns the text content of a web page from position 'start' (default 0) up to 'length' characters (default 1122)
@@ -174,14 +113,275 @@ A: {"tool":"read_url","arguments":{"url":"https://example.com","start":0,"length
 Q: What is the capital of France?
 A: {"tool":"instant_answer","arguments":{"query":"capital of France"}}
 
-If you understand, follow these instructions for every relevant question. Do NOT answer from your own knowledge if a tool call is needed. Wait for the tool result before continuing.`,
-        }];
+If you understand, follow these instructions for every relevant question. Do NOT answer from your own knowledge if a tool call is needed. Wait for the tool result before continuing.`;
+
+    // Tool instructions for models that call tools through their native tool API
+    const nativeToolPrompt = `You are an AI assistant with access to three external tools: web_search, read_url and instant_answer. You MUST use these tools to answer any question that requires up-to-date facts, statistics, or detailed content. Do NOT attempt to answer such questions from your own knowledge.
+
+**INSTRUCTIONS:**
+- Call tools through the function-calling interface. Never write a tool call as text or JSON in your reply.
+- After receiving a tool result, reason step by step (Chain of Thought) and decide if you need to call another tool. Only provide your final answer after all necessary tool calls are complete.
+- If a read_url result ends with an ellipsis ("..."), always determine if fetching more text will improve your answer. If so, call read_url again with the same url, start at your previous offset, and length set to 5000. Repeat until you have enough content.
+- If you do NOT know the answer, or are unsure, ALWAYS call a tool first.`;
+
+    // Tool handler registry. Each tool declares a description and JSON Schema
+    // parameters, offered to models with native function calling, and a handler
+    // that shows progress in the UI and reports its result through recordResult.
+    // Work that adds to the chat history after the result, such as reading the
+    // suggested search results, goes through followUp.
+    const toolHandlers = {
+        web_search: {
+            description: 'Search the web. Returns a numbered list of results with title, url and snippet.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'The search query' },
+                    engine: { type: 'string', enum: ['duckduckgo', 'google', 'bing'], description: 'Search engine (default duckduckgo)' }
+                },
+                required: ['query']
+            },
+            handler: async function(args, recordResult, followUp) {
+                if (!args.query || typeof args.query !== 'string' || !args.query.trim()) {
+                    UIController.addMessage('ai', 'Error: Invalid web_search query.');
+                    return;
+                }
+                const engine = args.engine || 'duckduckgo';
+                UIController.showSpinner(`Searching (${engine}) for "${args.query}"...`);
+                UIController.showStatus(`Searching (${engine}) for "${args.query}"...`);
+                let results = [];
+                try {
+                    const streamed = [];
+                    let route = '';
+                    results = await ToolsService.webSearch(args.query, (result) => {
+                        streamed.push(result);
+                        // Pass highlight flag if this index is in highlightedResultIndices
+                        const idx = streamed.length - 1;
+                        const resultElement = UIController.addSearchResult(result, readSearchResult, highlightedResultIndices.has(idx));
+                        if (resultElement && route) UIController.setMessageMeta(resultElement, route);
+                    }, engine, currentSignal(), fetchedRoute => { route = fetchedRoute; });
+                    if (!results.length) {
+                        UIController.addMessage('ai', `No search results found for "${args.query}".`);
+                    }
+                    const plainTextResults = results.map((r, i) => `${i+1}. ${r.title} (${r.url}) - ${r.snippet}`).join('\n');
+                    recordResult(`Search results for "${args.query}" (${results.length}):\n${plainTextResults}`);
+                    lastSearchResults = results;
+                    // Prompt AI to suggest which results to read
+                    await followUp(() => suggestResultsToRead(results, args.query));
+                } catch (err) {
+                    if (isStopped()) throw err;
+                    UIController.hideSpinner();
+                    UIController.addMessage('ai', `Web search failed: ${err.message}`);
+                    recordResult(`Web search failed: ${err.message}`);
+                }
+                UIController.hideSpinner();
+                UIController.clearStatus();
+            }
+        },
+        read_url: {
+            description: 'Read the text content of a web page, from character offset start up to length characters.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    url: { type: 'string', description: 'The http(s) URL to read' },
+                    start: { type: 'integer', description: 'Character offset to start from (default 0)' },
+                    length: { type: 'integer', description: 'Number of characters to return (default 1122)' }
+                },
+                required: ['url']
+            },
+            handler: async function(args, recordResult) {
+                if (!args.url || typeof args.url !== 'string' || !/^https?:\/\//.test(args.url)) {
+                    UIController.addMessage('ai', 'Error: Invalid read_url argument.');
+                    return;
+                }
+                UIController.showSpinner(`Reading content from ${args.url}...`);
+                UIController.showStatus(`Reading content from ${args.url}...`);
+                try {
+                    let route = '';
+                    const result = await ToolsService.readUrl(args.url, currentSignal(), fetchedRoute => { route = fetchedRoute; });
+                    const start = (typeof args.start === 'number' && args.start >= 0) ? args.start : 0;
+                    const length = (typeof args.length === 'number' && args.length > 0) ? args.length : 1122;
+                    const snippet = String(result).slice(start, start + length);
+                    const hasMore = (start + length) < String(result).length;
+                    const resultElement = UIController.addReadResult(args.url, snippet, hasMore);
+                    if (route) UIController.setMessageMeta(resultElement, route);
+                    const plainTextSnippet = `Read content from ${args.url}:\n${snippet}${hasMore ? '...' : ''}`;
+                    recordResult(plainTextSnippet);
+                    // Collect snippets for summarization
+                    readSnippets.push(snippet);
+                    if (readSnippets.length >= 2) {
+                        UIController.addSummarizeButton(() => summarizeSnippets());
+                    }
+                } catch (err) {
+                    if (isStopped()) throw err;
+                    UIController.hideSpinner();
+                    UIController.addMessage('ai', `Read URL failed: ${err.message}`);
+                    recordResult(`Read URL failed: ${err.message}`);
+                }
+                UIController.hideSpinner();
+                UIController.clearStatus();
+            }
+        },
+        instant_answer: {
+            description: "Query DuckDuckGo's Instant Answer API for quick facts, definitions and summaries.",
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'The question or topic' }
+                },
+                required: ['query']
+            },
+            handler: async function(args, recordResult) {
+                if (!args.query || typeof args.query !== 'string' || !args.query.trim()) {
+                    UIController.addMessage('ai', 'Error: Invalid instant_answer query.');
+                    return;
+                }
+                UIController.showStatus(`Retrieving instant answer for "${args.query}"...`);
+                try {
+                    let route = '';
+                    const result = await ToolsService.instantAnswer(args.query, currentSignal(), fetchedRoute => { route = fetchedRoute; });
+                    const text = JSON.stringify(result, null, 2);
+                    const answerElement = UIController.addMessage('ai', text);
+                    if (route) UIController.setMessageMeta(answerElement, route);
+                    recordResult(text);
+                } catch (err) {
+                    if (isStopped()) throw err;
+                    UIController.clearStatus();
+                    UIController.addMessage('ai', `Instant answer failed: ${err.message}`);
+                    recordResult(`Instant answer failed: ${err.message}`);
+                }
+                UIController.clearStatus();
+            }
+        }
+    };
+
+    /**
+     * Builds the tool definitions offered to models with native function calling
+     * @returns {Array} - [{ name, description, parameters }]
+     */
+    function getToolDefinitions() {
+        return Object.entries(toolHandlers).map(([name, tool]) => ({
+            name,
+            description: tool.description,
+            parameters: tool.parameters
+        }));
+    }
+
+    /**
+     * Reads a search result the user picked with its Read More button
+     * @param {string} url - The result URL
+     */
+    function readSearchResult(url) {
+        processToolCall({ tool: 'read_url', arguments: { url, start: 0, length: 1122 } });
+    }
+
+    /**
+     * Creates the history of a new conversation, seeded with the tool instructions.
+     * The flagged entry is swapped for the prompt matching the model at request time.
+     * @returns {Array} - The chat history
+     */
+    function newHistory() {
+        return [{ role: 'system', content: jsonToolPrompt, toolInstructions: true }];
+    }
+
+    /**
+     * Initializes the chat controller
+     * @param {Object} [initialSettings] - Settings to apply over the current ones
+     */
+    function init(initialSettings) {
+        chatHistory = newHistory();
         if (initialSettings) {
             settings = { ...settings, ...initialSettings };
         }
         
         // Set up event handlers through UI controller
-        UIController.setupEventHandlers(sendMessage, clearChat);
+        UIController.setupEventHandlers(sendMessage, clearChat, stopGeneration, addAttachments);
+    }
+
+    /**
+     * Reads images and documents to send with the next message, skipping unsupported files.
+     * Documents are kept as { type: 'document', name, text }.
+     * @param {Array} files - The picked, pasted or dropped files
+     */
+    async function addAttachments(files) {
+        for (const file of files) {
+            const isImage = IMAGE_TYPES.includes(file.type);
+            const isDocument = !isImage && DocumentService.isSupported(file);
+            let problem = '';
+            if (!isImage && !isDocument) {
+                problem = 'only images (PNG, JPEG, GIF, WebP) and PDF, text, Markdown or CSV files can be attached';
+            } else if (isImage && file.size > MAX_IMAGE_BYTES) {
+                problem = `images must be under ${MAX_IMAGE_BYTES / 1024 / 1024} MB`;
+            } else if (isDocument && file.size > MAX_DOCUMENT_BYTES) {
+                problem = `documents must be under ${MAX_DOCUMENT_BYTES / 1024 / 1024} MB`;
+            } else if (pendingAttachments.length >= MAX_ATTACHMENTS) {
+                problem = `at most ${MAX_ATTACHMENTS} files can be sent at once`;
+            }
+            if (problem) {
+                UIController.addMessage('ai', `Cannot attach ${file.name || 'file'}: ${problem}.`);
+                continue;
+            }
+            try {
+                if (isImage) {
+                    const data = await Utils.readFileAsBase64(file);
+                    pendingAttachments.push({ type: 'image', mimeType: file.type, data, name: file.name || 'pasted image' });
+                } else {
+                    UIController.showStatus(`Reading ${file.name}...`);
+                    const text = await DocumentService.extractText(file);
+                    if (!text) {
+                        throw new Error('no text found (scanned documents are not supported)');
+                    }
+                    pendingAttachments.push({ type: 'document', name: file.name, text });
+                }
+            } catch (err) {
+                console.error('Error reading attachment:', err);
+                UIController.addMessage('ai', `Cannot attach ${file.name || 'file'}: ${err.message}`);
+            } finally {
+                if (isDocument) UIController.clearStatus();
+            }
+        }
+        renderAttachments();
+    }
+
+    /**
+     * Turns attached documents into text parts for the model. Short documents
+     * are sent whole; long ones are chunked and summarized in batches first.
+     * @param {Array} documents - Document attachments ({ name, text })
+     * @returns {Promise<Array>} - Text content parts
+     */
+    async function documentParts(documents) {
+        const parts = [];
+        for (const doc of documents) {
+            if (doc.text.length <= MAX_INLINE_DOCUMENT_LENGTH) {
+                parts.push({ type: 'text', text: `Attached file "${doc.name}":\n\n${doc.text}` });
+                continue;
+            }
+            const chunks = DocumentService.chunkText(doc.text, DOCUMENT_CHUNK_SIZE);
+            const summary = await summarizeInBatches(chunks, `the file "${doc.name}"`);
+            UIController.hideSpinner();
+            UIController.clearStatus();
+            UIController.addMessage('ai', `Summary of ${doc.name}:\n${summary}`);
+            parts.push({
+                type: 'text',
+                text: `Attached file "${doc.name}" (${doc.text.length} characters, summarized):\n\n${summary}`
+            });
+        }
+        return parts;
+    }
+
+    /**
+     * Removes an attachment waiting to be sent
+     * @param {number} index - Its position among the pending attachments
+     */
+    function removeAttachment(index) {
+        pendingAttachments.splice(index, 1);
+        renderAttachments();
+    }
+
+    /**
+     * Shows the pending attachments above the message input
+     */
+    function renderAttachments() {
+        UIController.renderAttachments(pendingAttachments, removeAttachment);
     }
 
     /**
@@ -194,12 +394,266 @@ If you understand, follow these instructions for every relevant question. Do NOT
     }
 
     /**
-     * Clears the chat history and resets token count
+     * Starts a new conversation: saves the current one to the library, then
+     * clears the chat history and resets token count
      */
     function clearChat() {
-        chatHistory = [];
+        flushSave();
+        chatHistory = newHistory();
+        conversationId = null;
+        resetWorkflowState();
         totalTokens = 0;
-        Utils.updateTokenDisplay(0);
+        promptTokens = 0;
+        completionTokens = 0;
+        CostTracker.resetConversation();
+        updateUsageDisplay();
+    }
+
+    /**
+     * Forgets the tool workflow state of the previous conversation
+     */
+    function resetWorkflowState() {
+        openComparison = null;
+        readSnippets = [];
+        lastSearchResults = [];
+        toolCallHistory = [];
+        highlightedResultIndices = new Set();
+        lastToolCall = null;
+        lastToolCallCount = 0;
+        readCache.clear();
+        originalUserQuestion = '';
+    }
+
+    /**
+     * Saves the conversation to the library shortly, once the current step has rendered
+     */
+    function scheduleSave() {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(flushSave, SAVE_DELAY);
+    }
+
+    /**
+     * Saves the conversation to the library now, if it has a message yet
+     */
+    function flushSave() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        if (!chatHistory.some(item => item.role === 'user')) return;
+        if (!conversationId) {
+            conversationId = ConversationStore.createId();
+        }
+        // Snapshot now; the write waits for earlier ones and the state moves on
+        const conversation = getConversation();
+        conversationWrite = conversationWrite
+            .then(() => ConversationStore.save(conversation))
+            .catch(err => console.error('Error saving the conversation:', err));
+    }
+
+    /**
+     * Gets a snapshot of the open conversation, as saved in the library and exported
+     * @returns {Object} - { id, title, model, createdAt, updatedAt, pinned, usage,
+     *   costTotals, chatHistory, toolCallHistory, transcript }; id is null until first saved
+     */
+    function getConversation() {
+        const transcript = UIController.getTranscript();
+        const firstMessage = transcript.find(entry => entry.type === 'message' && entry.sender === 'user');
+        const now = Date.now();
+        return {
+            id: conversationId,
+            title: ConversationStore.titleFrom(firstMessage ? firstMessage.text : ''),
+            model: SettingsController.getSettings().selectedModel,
+            createdAt: now,
+            updatedAt: now,
+            pinned: false,
+            usage: { totalTokens, promptTokens, completionTokens },
+            costTotals: CostTracker.getSummary().conversation,
+            chatHistory: JSON.parse(JSON.stringify(chatHistory)),
+            toolCallHistory: JSON.parse(JSON.stringify(toolCallHistory)),
+            transcript
+        };
+    }
+
+    /**
+     * Reopens a conversation from the library: its history, usage, tool calls and
+     * what the chat window showed. The current conversation is saved first.
+     * @param {string} id - The conversation id
+     * @returns {Promise<boolean>} - False while a reply is generated, or if the conversation was deleted
+     */
+    async function openConversation(id) {
+        if (abortController) return false;
+        const conversation = await ConversationStore.get(id);
+        if (!conversation || abortController) return false;
+        
+        flushSave();
+        showConversation(conversation);
+        return true;
+    }
+
+    /**
+     * Opens an imported conversation and adds it to the library under a new id,
+     * so it never replaces a conversation already there
+     * @param {Object} conversation - The conversation, as from ConversationExport.parseJson
+     * @returns {Promise<boolean>} - False while a reply is generated
+     */
+    async function importConversation(conversation) {
+        if (abortController) return false;
+        flushSave();
+        // Imported histories carry no system messages; the tool instructions are this app's own
+        const imported = {
+            ...conversation,
+            id: ConversationStore.createId(),
+            pinned: false,
+            chatHistory: [...newHistory(), ...conversation.chatHistory]
+        };
+        showConversation(imported);
+        conversationWrite = conversationWrite
+            .then(() => ConversationStore.save(imported))
+            .catch(err => console.error('Error saving the imported conversation:', err));
+        await conversationWrite;
+        return true;
+    }
+
+    /**
+     * Makes a saved or imported conversation the open one
+     * @param {Object} conversation - The full conversation
+     */
+    function showConversation(conversation) {
+        chatHistory = conversation.chatHistory && conversation.chatHistory.length
+            ? conversation.chatHistory
+            : newHistory();
+        conversationId = conversation.id;
+        resetWorkflowState();
+        toolCallHistory = conversation.toolCallHistory || [];
+        const usage = conversation.usage || {};
+        totalTokens = usage.totalTokens || 0;
+        promptTokens = usage.promptTokens || 0;
+        completionTokens = usage.completionTokens || 0;
+        CostTracker.restoreConversation(conversation.costTotals);
+        
+        UIController.clearChatWindow();
+        UIController.renderTranscript(conversation.transcript, readSearchResult);
+        updateUsageDisplay();
+    }
+
+    /**
+     * Starts a new chat without saving the open conversation, as it is being deleted
+     * @returns {Promise<boolean>} - Settles once earlier saves are written, so the
+     *   conversation can be deleted for good; false while a reply is generated
+     */
+    async function discardConversation() {
+        if (abortController) return false;
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        // Nothing left for clearChat to save
+        chatHistory = newHistory();
+        clearChat();
+        UIController.clearChatWindow();
+        await conversationWrite;
+        return true;
+    }
+
+    /**
+     * Checks whether a reply or tool workflow is running
+     * @returns {boolean} - True until it finishes or is stopped
+     */
+    function isGenerating() {
+        return Boolean(abortController);
+    }
+
+    /**
+     * Gets the id of the open conversation in the library
+     * @returns {string|null} - The id, null until the conversation is first saved
+     */
+    function getConversationId() {
+        return conversationId;
+    }
+
+    /**
+     * Refreshes the token and cost display from the running totals
+     */
+    function updateUsageDisplay() {
+        const summary = CostTracker.getSummary();
+        Utils.updateTokenDisplay(totalTokens, {
+            promptTokens,
+            completionTokens,
+            cost: summary.conversation.cost,
+            dailyCost: summary.daily.cost,
+            byStep: summary.conversation.byStep
+        });
+    }
+
+    /**
+     * Adds the usage of one request to the running totals and refreshes the display
+     * @param {Object|null} usage - { promptTokens, completionTokens, totalTokens }, null if unreported
+     * @param {string} model - The model that spent the tokens
+     * @param {string} step - Workflow step that made the request (chat, suggest, summarize...)
+     * @returns {Object|null} - The CostTracker entry, null if usage was unreported
+     */
+    function recordUsage(usage, model, step) {
+        if (!usage) return null;
+        promptTokens += usage.promptTokens;
+        completionTokens += usage.completionTokens;
+        totalTokens += usage.totalTokens;
+        const entry = CostTracker.record(model, usage, step);
+        entry.warnings.forEach(warning => UIController.addMessage('ai', warning));
+        updateUsageDisplay();
+        return entry;
+    }
+
+    /**
+     * Explains a failed request, with what the user can do about it
+     * @param {*} err - The error
+     * @returns {string} - The message to show
+     */
+    function describeError(err) {
+        const detail = err && err.message ? err.message : String(err);
+        switch (err && err.type) {
+            case Utils.ERROR_TYPES.AUTH:
+                // A missing key is reported before any request, already saying what to do
+                return err.status ? `The provider rejected the API key. Check the key in Settings. (${detail})` : detail;
+            case Utils.ERROR_TYPES.RATE_LIMIT: {
+                const wait = err.retryAfter ? ` in ${Math.ceil(err.retryAfter / 1000)}s` : ' in a moment';
+                return `Rate limited by the provider. Try again${wait}, or add fallback models in Settings. (${detail})`;
+            }
+            case Utils.ERROR_TYPES.QUOTA:
+                return `The quota or credit for this provider is used up. Check your plan and billing, or pick another model. (${detail})`;
+            case Utils.ERROR_TYPES.BAD_REQUEST:
+                return `The provider rejected the request. Try another model, a shorter conversation or different generation settings. (${detail})`;
+            case Utils.ERROR_TYPES.SERVER:
+                return `The provider is having problems. Try again later, or add fallback models in Settings. (${detail})`;
+            case Utils.ERROR_TYPES.NETWORK:
+                return `Could not reach the provider. Check your connection and, for local models, the endpoint URL. (${detail})`;
+            case Utils.ERROR_TYPES.TIMEOUT:
+                return `The provider did not answer in time. Try again, or shorten the conversation. (${detail})`;
+            case Utils.ERROR_TYPES.PARSE:
+                return `The provider sent a response that could not be read. Try again or pick another model. (${detail})`;
+            default:
+                return detail;
+        }
+    }
+
+    /**
+     * Labels a reply with the model that answered it, how it was reached and what it cost
+     * @param {Element} messageElement - The reply's message element
+     * @param {Object} result - The completion result ({ model, fallbackFrom, route })
+     * @param {Object|null} entry - The CostTracker entry for the reply
+     * @param {number} [latency] - Time the reply took in ms, shown when given
+     */
+    function showMessageMeta(messageElement, result, entry, latency) {
+        const parts = [result.fallbackFrom
+            ? `${result.model} (fallback for ${result.fallbackFrom})`
+            : result.model];
+        if (result.route) {
+            parts.push(result.route);
+        }
+        if (latency !== undefined) {
+            parts.push(`${(latency / 1000).toFixed(1)} s`);
+        }
+        if (entry) {
+            const cost = entry.priced ? CostTracker.formatCost(entry.cost) : 'unpriced model';
+            parts.push(`${entry.promptTokens} in / ${entry.completionTokens} out`, cost);
+        }
+        UIController.setMessageMeta(messageElement, parts.join(' · '));
     }
 
     /**
@@ -210,6 +664,34 @@ If you understand, follow these instructions for every relevant question. Do NOT
         return { ...settings };
     }
 
+    /**
+     * Gets the signal that cancels the running workflow
+     * @returns {AbortSignal|undefined} - The signal, undefined outside sendMessage
+     */
+    function currentSignal() {
+        return abortController ? abortController.signal : undefined;
+    }
+
+    /**
+     * Checks whether the user stopped the running workflow
+     * @returns {boolean} - True once Stop was pressed
+     */
+    function isStopped() {
+        return Boolean(abortController && abortController.signal.aborted);
+    }
+
+    /**
+     * Stops the running reply along with any tool calls, auto-reads and
+     * summaries it started. Partial streamed text is kept.
+     */
+    function stopGeneration() {
+        if (!abortController || abortController.signal.aborted) return;
+        abortController.abort();
+        toolWorkflowActive = false;
+        UIController.showStatus('Stopping...');
+        document.getElementById('stop-button').disabled = true;
+    }
+
     /**
      * Generates Chain of Thought prompting instructions
      * @param {string} message - The user message
@@ -349,68 +831,138 @@ Answer: [your final, concise answer based on the reasoning above]`;
      */
     async function sendMessage() {
         const message = UIController.getUserInput();
-        if (!message) return;
+        const attachments = pendingAttachments;
+        if (!message && !attachments.length) return;
+        const images = attachments.filter(attachment => attachment.type === 'image');
+        const documents = attachments.filter(attachment => attachment.type === 'document');
+        
+        // Get the selected model from SettingsController
+        const currentSettings = SettingsController.getSettings();
+        const selectedModel = currentSettings.selectedModel;
+        if (images.length && !ApiService.supportsVision(selectedModel) &&
+            !confirm(`${selectedModel} is not known to accept images. Send the message with its images anyway?`)) {
+            return;
+        }
+        pendingAttachments = [];
+        renderAttachments();
+        closeComparison();
         originalUserQuestion = message;
         toolWorkflowActive = true;
+        abortController = new AbortController();
         
         // Show status and disable inputs while awaiting AI
         UIController.showStatus('Sending message...');
         document.getElementById('message-input').disabled = true;
         document.getElementById('send-button').disabled = true;
+        UIController.showStopButton();
         
         // Reset the partial response tracking
         lastThinkingContent = '';
         lastAnswerContent = '';
         
         // Add user message to UI
-        UIController.addMessage('user', message);
+        UIController.addMessage('user', message, attachments);
         UIController.clearUserInput();
         
-        // Apply CoT formatting if enabled
-        const enhancedMessage = settings.enableCoT ? enhanceWithCoT(message) : message;
-        
-        // Get the selected model from SettingsController
-        const currentSettings = SettingsController.getSettings();
-        const selectedModel = currentSettings.selectedModel;
+        // Apply CoT formatting if enabled; structured replies have no room for the reasoning
+        const enhancedMessage = settings.enableCoT && !settings.structuredOutput && message
+            ? enhanceWithCoT(message)
+            : message;
         
         try {
-            if (selectedModel.startsWith('gpt')) {
-                // For OpenAI, add enhanced message to chat history before sending to include the CoT prompt.
-                chatHistory.push({ role: 'user', content: enhancedMessage });
-                console.log("Sent enhanced message to GPT:", enhancedMessage);
-                await handleOpenAIMessage(selectedModel, enhancedMessage);
-            } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                // For Gemini, ensure chat history starts with user message if empty
-                if (chatHistory.length === 0) {
-                    chatHistory.push({ role: 'user', content: '' });
-                }
-                await handleGeminiMessage(selectedModel, enhancedMessage);
+            // Messages with attachments are sent as parts: documents, then the text, then images
+            const content = attachments.length
+                ? [
+                    ...await documentParts(documents),
+                    ...(enhancedMessage ? [{ type: 'text', text: enhancedMessage }] : []),
+                    ...images
+                ]
+                : enhancedMessage;
+            // Add enhanced message to chat history so the CoT prompt is sent
+            chatHistory.push({ role: 'user', content });
+            const compared = comparedModels(selectedModel);
+            if (compared.length > 1) {
+                await handleComparison(compared);
+            } else {
+                await handleModelResponse(selectedModel);
             }
         } catch (error) {
-            console.error('Error sending message:', error);
-            UIController.addMessage('ai', 'Error: ' + error.message);
+            if (isStopped()) {
+                UIController.hideSpinner();
+                UIController.addMessage('ai', 'Stopped.');
+            } else {
+                console.error('Error sending message:', error);
+                UIController.addMessage('ai', 'Error: ' + describeError(error));
+            }
         } finally {
+            abortController = null;
+            UIController.hideStopButton();
             // Update token usage display
-            Utils.updateTokenDisplay(totalTokens);
+            updateUsageDisplay();
             // Clear status and re-enable inputs
             UIController.clearStatus();
             document.getElementById('message-input').disabled = false;
             document.getElementById('send-button').disabled = false;
+            scheduleSave();
         }
     }
 
     /**
-     * Handles OpenAI message processing
-     * @param {string} model - The OpenAI model to use
-     * @param {string} message - The user message
+     * Builds the messages sent for a request, choosing the tool instructions
+     * that match how the model calls tools
+     * @param {string} model - The model to use
+     * @returns {Array} - The request messages
      */
-    async function handleOpenAIMessage(model, message) {
+    function buildRequestMessages(model) {
+        const nativeTools = ApiService.supportsTools(model);
+        return chatHistory.map(item => item.toolInstructions
+            ? { role: 'system', content: nativeTools ? nativeToolPrompt : jsonToolPrompt }
+            : item);
+    }
+
+    /**
+     * Builds the fallback chain for a request from the configured fallback models,
+     * each with its own generation parameters
+     * @param {string} model - The preferred model, left out of the chain
+     * @param {Function} [messagesFor] - Builds the messages for a model when they differ per model
+     * @returns {Array} - [{ model, messages, generation }]
+     */
+    function buildFallbacks(model, messagesFor) {
+        return (SettingsController.getSettings().fallbackModels || [])
+            .filter(fallback => fallback !== model)
+            .map(fallback => ({
+                model: fallback,
+                messages: messagesFor ? messagesFor(fallback) : undefined,
+                generation: SettingsController.getGenerationParams(fallback)
+            }));
+    }
+
+    /**
+     * Requests the next assistant reply for the current chat history and renders it.
+     * Rate limits and outages move on to the configured fallback models.
+     * @param {string} model - The model to use
+     */
+    async function handleModelResponse(model) {
+        const responseSchema = SettingsController.getOutputSchema();
+        if (responseSchema) {
+            return handleStructuredResponse(model, responseSchema);
+        }
+        const requestOptions = {
+            tools: getToolDefinitions(),
+            generation: SettingsController.getGenerationParams(model),
+            // Each model gets the tool instructions matching how it calls tools
+            fallbacks: buildFallbacks(model, buildRequestMessages),
+            signal: currentSignal()
+        };
+        CostTracker.checkBudget();
+        
         if (settings.streaming) {
             // Show status for streaming response
             UIController.showStatus('Streaming response...');
             // Streaming approach
             const aiMsgElement = UIController.createEmptyAIMessage();
-            let streamedResponse = '';
+            // Text received so far, kept if the user stops the stream
+            let partialReply = '';
             
             try {
                 // Start thinking indicator if CoT is enabled
@@ -420,12 +972,11 @@ Answer: [your final, concise answer based on the reasoning above]`;
                 }
                 
                 // Process streaming response
-                const fullReply = await ApiService.streamOpenAIRequest(
-                    model, 
-                    chatHistory,
+                const result = await ApiService.streamComplete(
+                    model,
+                    buildRequestMessages(model),
                     (chunk, fullText) => {
-                        streamedResponse = fullText;
-                        
+                        partialReply = fullText;
                         if (settings.enableCoT) {
                             // Process the streamed response for CoT
                             const processed = processPartialCoTResponse(fullText);
@@ -441,11 +992,23 @@ Answer: [your final, concise answer based on the reasoning above]`;
                         } else {
                             UIController.updateMessageContent(aiMsgElement, fullText);
                         }
-                    }
+                    },
+                    requestOptions
                 );
+                const { text: fullReply, toolCalls } = result;
+                
+                // Token usage reported by the stream itself
+                const costEntry = recordUsage(result.usage, result.model, 'chat');
+                
+                // Native tool calls: drop the bubble if the model only called tools
+                if (toolCalls.length) {
+                    if (!fullReply.trim()) aiMsgElement.remove();
+                    await processNativeToolCalls(fullReply, toolCalls);
+                    return;
+                }
                 
                 // Intercept JSON tool call in streaming mode
-                const toolCall = extractToolCall(fullReply);
+                const toolCall = ApiService.supportsTools(result.model) ? null : extractToolCall(fullReply);
                 if (toolCall && toolCall.tool && toolCall.arguments) {
                     await processToolCall(toolCall);
                     return;
@@ -463,21 +1026,24 @@ Answer: [your final, concise answer based on the reasoning above]`;
                     // Update UI with appropriate content based on settings
                     const displayText = formatResponseForDisplay(processed);
                     UIController.updateMessageContent(aiMsgElement, displayText);
-                    
-                    // Add full response to chat history
-                    chatHistory.push({ role: 'assistant', content: fullReply });
-                } else {
-                    // Add to chat history after completed
-                    chatHistory.push({ role: 'assistant', content: fullReply });
+                    UIController.setMessageThinking(aiMsgElement, processed.thinking);
                 }
+                showMessageMeta(aiMsgElement, result, costEntry);
                 
-                // Get token usage
-                const tokenCount = await ApiService.getTokenUsage(model, chatHistory);
-                if (tokenCount) {
-                    totalTokens += tokenCount;
-                }
+                // Add full response to chat history after completed
+                chatHistory.push({ role: 'assistant', content: fullReply });
             } catch (err) {
-                UIController.updateMessageContent(aiMsgElement, 'Error: ' + err.message);
+                if (isStopped()) {
+                    // Keep the partial answer in the bubble and the history
+                    if (partialReply.trim()) {
+                        chatHistory.push({ role: 'assistant', content: partialReply });
+                        UIController.setMessageMeta(aiMsgElement, 'Stopped');
+                    } else {
+                        aiMsgElement.remove();
+                    }
+                    throw err;
+                }
+                UIController.updateMessageContent(aiMsgElement, 'Error: ' + describeError(err));
                 throw err;
             } finally {
                 isThinking = false;
@@ -486,193 +1052,240 @@ Answer: [your final, concise answer based on the reasoning above]`;
             // Show status for non-streaming response
             UIController.showStatus('Waiting for AI response...');
             // Non-streaming approach
-            try {
-                const result = await ApiService.sendOpenAIRequest(model, chatHistory);
-                
-                if (result.error) {
-                    throw new Error(result.error.message);
-                }
-                
-                // Update token usage
-                if (result.usage && result.usage.total_tokens) {
-                    totalTokens += result.usage.total_tokens;
-                }
+            const result = await ApiService.complete(model, buildRequestMessages(model), requestOptions);
+            
+            // Update token usage
+            const costEntry = recordUsage(result.usage, result.model, 'chat');
+            
+            const reply = result.text;
+            
+            // Native tool calls, with any text the model wrote alongside them
+            if (result.toolCalls.length) {
+                if (reply.trim()) UIController.addMessage('ai', reply);
+                await processNativeToolCalls(reply, result.toolCalls);
+                return;
+            }
+            
+            // Intercept tool call JSON
+            const toolCall = ApiService.supportsTools(result.model) ? null : extractToolCall(reply);
+            if (toolCall && toolCall.tool && toolCall.arguments) {
+                await processToolCall(toolCall);
+                return;
+            }
+            
+            // Add the full response to chat history
+            chatHistory.push({ role: 'assistant', content: reply });
+            
+            if (settings.enableCoT) {
+                const processed = processCoTResponse(reply);
                 
-                // Process response
-                const reply = result.choices[0].message.content;
-                console.log("GPT non-streaming reply:", reply);
-
-                // Intercept tool call JSON
-                const toolCall = extractToolCall(reply);
-                if (toolCall && toolCall.tool && toolCall.arguments) {
-                    await processToolCall(toolCall);
-                    return;
+                // Add thinking to debug console if available
+                if (processed.thinking) {
+                    console.log('AI Thinking:', processed.thinking);
                 }
                 
-                if (settings.enableCoT) {
-                    const processed = processCoTResponse(reply);
-                    
-                    // Add thinking to debug console if available
-                    if (processed.thinking) {
-                        console.log('AI Thinking:', processed.thinking);
-                    }
-                    
-                    // Add the full response to chat history
-                    chatHistory.push({ role: 'assistant', content: reply });
-                    
-                    // Show appropriate content in the UI based on settings
-                    const displayText = formatResponseForDisplay(processed);
-                    UIController.addMessage('ai', displayText);
-                } else {
-                    chatHistory.push({ role: 'assistant', content: reply });
-                    UIController.addMessage('ai', reply);
-                }
-            } catch (err) {
-                throw err;
+                // Show appropriate content in the UI based on settings
+                const displayText = formatResponseForDisplay(processed);
+                const messageElement = UIController.addMessage('ai', displayText);
+                UIController.setMessageThinking(messageElement, processed.thinking);
+                showMessageMeta(messageElement, result, costEntry);
+            } else {
+                showMessageMeta(UIController.addMessage('ai', reply), result, costEntry);
             }
         }
     }
 
     /**
-     * Handles Gemini message processing
-     * @param {string} model - The Gemini model to use
-     * @param {string} message - The user message
+     * Gets the models a message is sent to in compare mode
+     * @param {string} model - The selected model, compared first
+     * @returns {Array} - The models, empty when compare mode is off
      */
-    async function handleGeminiMessage(model, message) {
-        // Add current message to chat history
-        chatHistory.push({ role: 'user', content: message });
-        
-        if (settings.streaming) {
-            // Streaming approach
-            const aiMsgElement = UIController.createEmptyAIMessage();
-            let streamedResponse = '';
-            
+    function comparedModels(model) {
+        if (!settings.compareMode) return [];
+        return [...new Set([model, ...(settings.compareModels || [])])];
+    }
+
+    /**
+     * Sends the conversation to several models at once and shows their replies
+     * side by side with latency and usage. The first reply, in model order, is
+     * kept in the history until the user picks another. Comparisons are plain
+     * replies: tools and structured output are not used and nothing falls back.
+     * @param {Array} models - The models to compare
+     */
+    async function handleComparison(models) {
+        CostTracker.checkBudget();
+        UIController.showStatus(`Waiting for ${models.length} models...`);
+        const messages = chatHistory.filter(item => !item.toolInstructions);
+        const columns = UIController.addComparison(models);
+        const replies = await Promise.all(models.map(async (model, index) => {
+            const started = performance.now();
             try {
-                // Start thinking indicator if CoT is enabled
-                if (settings.enableCoT) {
-                    isThinking = true;
-                    UIController.updateMessageContent(aiMsgElement, '🤔 Thinking...');
-                }
-                
-                // Process streaming response
-                const fullReply = await ApiService.streamGeminiRequest(
-                    model,
-                    chatHistory,
-                    (chunk, fullText) => {
-                        streamedResponse = fullText;
-                        
-                        if (settings.enableCoT) {
-                            // Process the streamed response for CoT
-                            const processed = processPartialCoTResponse(fullText);
-                            
-                            // Only show "Thinking..." if we're still waiting
-                            if (isThinking && fullText.includes('Answer:')) {
-                                isThinking = false;
-                            }
-                            
-                            // Format according to current stage and settings
-                            const displayText = formatResponseForDisplay(processed);
-                            UIController.updateMessageContent(aiMsgElement, displayText);
-                        } else {
-                            UIController.updateMessageContent(aiMsgElement, fullText);
-                        }
-                    }
-                );
-                
-                // Intercept JSON tool call in streaming mode
-                const toolCall = extractToolCall(fullReply);
-                if (toolCall && toolCall.tool && toolCall.arguments) {
-                    await processToolCall(toolCall);
-                    return;
-                }
-                
-                // Process response for CoT if enabled
-                if (settings.enableCoT) {
-                    const processed = processCoTResponse(fullReply);
-                    
-                    // Add thinking to debug console if available
-                    if (processed.thinking) {
-                        console.log('AI Thinking:', processed.thinking);
-                    }
-                    
-                    // Update UI with appropriate content based on settings
-                    const displayText = formatResponseForDisplay(processed);
-                    UIController.updateMessageContent(aiMsgElement, displayText);
-                    
-                    // Add full response to chat history
-                    chatHistory.push({ role: 'assistant', content: fullReply });
-                } else {
-                    // Add to chat history after completed
-                    chatHistory.push({ role: 'assistant', content: fullReply });
-                }
-                
-                // Get token usage
-                const tokenCount = await ApiService.getTokenUsage(model, chatHistory);
-                if (tokenCount) {
-                    totalTokens += tokenCount;
-                }
+                const result = await ApiService.complete(model, messages, {
+                    generation: SettingsController.getGenerationParams(model),
+                    signal: currentSignal()
+                });
+                const latency = performance.now() - started;
+                const costEntry = recordUsage(result.usage, result.model, 'compare');
+                const processed = processCoTResponse(result.text);
+                UIController.updateMessageContent(columns[index], formatResponseForDisplay(processed));
+                UIController.setMessageThinking(columns[index], processed.thinking);
+                showMessageMeta(columns[index], result, costEntry, latency);
+                return result.text;
             } catch (err) {
-                UIController.updateMessageContent(aiMsgElement, 'Error: ' + err.message);
-                throw err;
-            } finally {
-                isThinking = false;
+                UIController.updateMessageContent(columns[index], isStopped() ? 'Stopped.' : 'Error: ' + describeError(err));
+                return null;
             }
-        } else {
-            // Non-streaming approach
-            try {
-                const session = ApiService.createGeminiSession(model);
-                const result = await session.sendMessage(message, chatHistory);
-                
-                // Update token usage if available
-                if (result.usageMetadata && typeof result.usageMetadata.totalTokenCount === 'number') {
-                    totalTokens += result.usageMetadata.totalTokenCount;
-                }
-                
-                // Process response
-                const candidate = result.candidates[0];
-                let textResponse = '';
-                
-                if (candidate.content.parts) {
-                    textResponse = candidate.content.parts.map(p => p.text).join(' ');
-                } else if (candidate.content.text) {
-                    textResponse = candidate.content.text;
-                }
-                
-                // Intercept tool call JSON
-                const toolCall = extractToolCall(textResponse);
-                if (toolCall && toolCall.tool && toolCall.arguments) {
-                    await processToolCall(toolCall);
-                    return;
-                }
-                
-                if (settings.enableCoT) {
-                    const processed = processCoTResponse(textResponse);
-                    
-                    // Add thinking to debug console if available
-                    if (processed.thinking) {
-                        console.log('AI Thinking:', processed.thinking);
-                    }
-                    
-                    // Add the full response to chat history
-                    chatHistory.push({ role: 'assistant', content: textResponse });
-                    
-                    // Show appropriate content in the UI based on settings
-                    const displayText = formatResponseForDisplay(processed);
-                    UIController.addMessage('ai', displayText);
-                } else {
-                    chatHistory.push({ role: 'assistant', content: textResponse });
-                    UIController.addMessage('ai', textResponse);
-                }
-            } catch (err) {
-                throw err;
+        }));
+        currentSignal()?.throwIfAborted();
+        UIController.clearStatus();
+        
+        const pickable = replies.map(text => text !== null);
+        const first = pickable.indexOf(true);
+        // Every model failed; each column says why
+        if (first < 0) return;
+        const entry = { role: 'assistant', content: replies[first] };
+        chatHistory.push(entry);
+        openComparison = { columns, pickable, chosen: first };
+        const pick = index => {
+            entry.content = replies[index];
+            openComparison.chosen = index;
+            UIController.renderComparisonChoice(columns, index, pick, pickable);
+            scheduleSave();
+        };
+        UIController.renderComparisonChoice(columns, first, pick, pickable);
+    }
+
+    /**
+     * Makes the kept reply of the latest comparison final, as later turns build on it
+     */
+    function closeComparison() {
+        if (!openComparison) return;
+        const { columns, chosen, pickable } = openComparison;
+        UIController.renderComparisonChoice(columns, chosen, null, pickable);
+        openComparison = null;
+    }
+
+    /**
+     * Requests the next assistant reply as JSON matching the output schema and
+     * renders it as a tree. Replies that do not parse or validate are sent back
+     * with the errors, up to MAX_SCHEMA_REPAIRS times. Tools are not offered and
+     * the reply is not streamed, as a partial JSON document is of no use.
+     * @param {string} model - The model to use
+     * @param {Object} schema - The JSON Schema the reply must match
+     */
+    async function handleStructuredResponse(model, schema) {
+        // The repair turns only matter for this reply and are left out of the history
+        const repairTurns = [];
+        for (let attempt = 0; ; attempt++) {
+            currentSignal()?.throwIfAborted();
+            CostTracker.checkBudget();
+            UIController.showStatus(attempt
+                ? `Reply did not match the schema, asking again (${attempt} of ${MAX_SCHEMA_REPAIRS})...`
+                : 'Waiting for AI response...');
+            const messages = [...chatHistory.filter(item => !item.toolInstructions), ...repairTurns];
+            const result = await ApiService.complete(model, messages, {
+                generation: SettingsController.getGenerationParams(model),
+                responseSchema: schema,
+                fallbacks: buildFallbacks(model),
+                signal: currentSignal()
+            });
+            const costEntry = recordUsage(result.usage, result.model, attempt ? 'repair' : 'chat');
+            const { value, errors } = parseStructuredReply(result.text, schema);
+            
+            if (!errors.length || attempt >= MAX_SCHEMA_REPAIRS) {
+                chatHistory.push({ role: 'assistant', content: result.text });
+                const messageElement = errors.length
+                    ? UIController.addMessage('ai', `Error: The reply still does not match the schema:\n- ${errors.join('\n- ')}\n\n${result.text}`)
+                    : UIController.addJsonMessage(value);
+                showMessageMeta(messageElement, result, costEntry);
+                UIController.clearStatus();
+                return;
             }
+            repairTurns.push(
+                { role: 'assistant', content: result.text },
+                { role: 'user', content: `Your reply is not valid against the JSON Schema:\n- ${errors.join('\n- ')}\n\nReply again with only the corrected JSON.` }
+            );
         }
     }
 
-    // Enhanced processToolCall using registry and validation
-    async function processToolCall(call) {
-        if (!toolWorkflowActive) return;
-        const { tool, arguments: args, skipContinue } = call;
+    /**
+     * Parses a structured reply and checks it against the schema
+     * @param {string} text - The reply
+     * @param {Object} schema - The JSON Schema
+     * @returns {Object} - { value, errors }, errors empty when the reply is valid
+     */
+    function parseStructuredReply(text, schema) {
+        // Models asked through the prompt sometimes wrap the JSON in a code fence
+        const candidate = text.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+        let value;
+        try {
+            value = JSON.parse(candidate);
+        } catch (err) {
+            return { value: null, errors: [`The reply is not valid JSON: ${err.message}`] };
+        }
+        return { value, errors: SchemaValidator.validate(value, schema).errors };
+    }
+
+    /**
+     * Sends a one-off prompt to the selected model, outside of the chat history.
+     * Counts against the budget and falls back like any chat reply.
+     * @param {string} step - Workflow step making the request, for cost accounting
+     * @param {string} systemPrompt - The system instruction for the request
+     * @param {string} prompt - The user prompt
+     * @param {number} [timeout] - Optional timeout in ms
+     * @returns {Promise<string>} - The trimmed reply text
+     */
+    async function requestCompletion(step, systemPrompt, prompt, timeout) {
+        const selectedModel = SettingsController.getSettings().selectedModel;
+        CostTracker.checkBudget();
+        const result = await ApiService.complete(selectedModel, [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: prompt }
+        ], {
+            timeout,
+            generation: SettingsController.getGenerationParams(selectedModel),
+            fallbacks: buildFallbacks(selectedModel),
+            signal: currentSignal()
+        });
+        recordUsage(result.usage, result.model, step);
+        return result.text.trim();
+    }
+
+    /**
+     * Lets the provider of a model answer tool calls in place of the network,
+     * as the mock provider does from its fixture; other providers use the network
+     * @param {string} model - The model the tool call is made for
+     */
+    function useToolResultSource(model) {
+        let provider = null;
+        try {
+            provider = ApiService.getProvider(model);
+        } catch (err) {
+            // Unknown models get network results
+        }
+        ToolsService.setResultSource(provider && provider.toolResult ? provider.toolResult : null);
+    }
+
+    /**
+     * Runs one tool call through the registry and records its result in chatHistory.
+     * Native calls (with an id) are answered with a tool message, JSON-text calls
+     * with an assistant message, as the JSON-text protocol has no tool role.
+     * Follow-up work of native calls is queued in followUps rather than run, as
+     * nothing may come between the tool calls of a turn and their results.
+     * @param {Object} call - { tool, arguments, id }
+     * @param {Array<Function>} [followUps] - Receives the follow-up work of native calls
+     * @returns {Promise<boolean>} - Whether the workflow may continue afterwards
+     */
+    async function runToolCall(call, followUps = []) {
+        const { tool, arguments: args = {}, id } = call;
+        useToolResultSource(SettingsController.getSettings().selectedModel);
+        let recorded = false;
+        const recordResult = content => {
+            recorded = true;
+            chatHistory.push(id
+                ? { role: 'tool', toolCallId: id, name: tool, content }
+                : { role: 'assistant', content });
+        };
         // Tool call loop protection
         const callSignature = JSON.stringify({ tool, args });
         if (lastToolCall === callSignature) {
@@ -682,34 +1295,103 @@ Answer: [your final, concise answer based on the reasoning above]`;
             lastToolCallCount = 1;
         }
         if (lastToolCallCount > MAX_TOOL_CALL_REPEAT) {
-            UIController.addMessage('ai', `Error: Tool call loop detected. The same tool call has been made more than ${MAX_TOOL_CALL_REPEAT} times in a row. Stopping to prevent infinite loop.`);
-            return;
+            const loopMessage = `Error: Tool call loop detected. The same tool call has been made more than ${MAX_TOOL_CALL_REPEAT} times in a row. Stopping to prevent infinite loop.`;
+            UIController.addMessage('ai', loopMessage);
+            if (id) recordResult(loopMessage);
+            return false;
+        }
+        if (!toolHandlers[tool]) {
+            UIController.addMessage('ai', `Error: Unknown tool "${tool}".`);
+            if (id) recordResult(`Error: Unknown tool "${tool}".`);
+            return Boolean(id);
         }
         // Log tool call
         toolCallHistory.push({ tool, args, timestamp: new Date().toISOString() });
-        await toolHandlers[tool](args);
-        // Only continue reasoning if the last AI reply was NOT a tool call
-        if (!skipContinue) {
-            const lastEntry = chatHistory[chatHistory.length - 1];
-            let isToolCall = false;
-            if (lastEntry && typeof lastEntry.content === 'string') {
-                try {
-                    const parsed = JSON.parse(lastEntry.content);
-                    if (parsed.tool && parsed.arguments) {
-                        isToolCall = true;
-                    }
-                } catch {}
+        const followUp = async task => {
+            if (id) {
+                followUps.push(task);
+            } else {
+                await task();
             }
-            if (!isToolCall) {
-                const selectedModel = SettingsController.getSettings().selectedModel;
-                if (selectedModel.startsWith('gpt')) {
-                    await handleOpenAIMessage(selectedModel, '');
-                } else {
-                    await handleGeminiMessage(selectedModel, '');
+        };
+        await toolHandlers[tool].handler(args, recordResult, followUp);
+        // Every native call needs a result, even when the arguments were rejected
+        if (id && !recorded) {
+            recordResult(`Error: Invalid arguments for ${tool}.`);
+        }
+        return true;
+    }
+
+    /**
+     * Asks the model to continue reasoning after tool results were recorded
+     */
+    async function continueAfterToolCall() {
+        // Only continue reasoning if the last AI reply was NOT a tool call
+        const lastEntry = chatHistory[chatHistory.length - 1];
+        let isToolCall = false;
+        if (lastEntry && lastEntry.role === 'assistant' && typeof lastEntry.content === 'string') {
+            try {
+                const parsed = JSON.parse(lastEntry.content);
+                if (parsed.tool && parsed.arguments) {
+                    isToolCall = true;
                 }
-            } else {
-                UIController.addMessage('ai', 'Warning: AI outputted another tool call without reasoning. Stopping to prevent infinite loop.');
+            } catch {}
+        }
+        if (!isToolCall) {
+            const selectedModel = SettingsController.getSettings().selectedModel;
+            await handleModelResponse(selectedModel);
+        } else {
+            UIController.addMessage('ai', 'Warning: AI outputted another tool call without reasoning. Stopping to prevent infinite loop.');
+        }
+    }
+
+    // Enhanced processToolCall using registry and validation
+    async function processToolCall(call) {
+        if (!toolWorkflowActive) return;
+        try {
+            const canContinue = await runToolCall(call);
+            if (canContinue && !call.skipContinue) {
+                await continueAfterToolCall();
             }
+        } finally {
+            // Read More buttons run tools outside sendMessage
+            scheduleSave();
+        }
+    }
+
+    /**
+     * Handles a reply in which the model called tools through its native tool API
+     * @param {string} text - Any text the model wrote alongside the calls
+     * @param {Array} toolCalls - [{ id, name, arguments }]
+     */
+    async function processNativeToolCalls(text, toolCalls) {
+        if (!toolWorkflowActive) {
+            // The workflow already produced a final answer; keep only the text
+            if (text.trim()) chatHistory.push({ role: 'assistant', content: text });
+            return;
+        }
+        chatHistory.push({ role: 'assistant', content: text, toolCalls });
+        let canContinue = true;
+        const followUps = [];
+        try {
+            for (const call of toolCalls) {
+                // Every call must be answered before the next request, so run them all
+                const ran = await runToolCall({ tool: call.name, arguments: call.arguments, id: call.id }, followUps);
+                canContinue = canContinue && ran;
+            }
+        } catch (err) {
+            // Answer the calls cut short so the history stays valid for the next request
+            toolCalls
+                .filter(call => !chatHistory.some(item => item.role === 'tool' && item.toolCallId === call.id))
+                .forEach(call => chatHistory.push({ role: 'tool', toolCallId: call.id, name: call.name, content: 'Cancelled by user.' }));
+            throw err;
+        }
+        // Deep reads add their own turns, so they wait until every call is answered
+        for (const task of followUps) {
+            await task();
+        }
+        if (canContinue) {
+            await continueAfterToolCall();
         }
     }
 
@@ -737,6 +1419,7 @@ Answer: [your final, concise answer based on the reasoning above]`;
         let chunkCount = 0;
         let totalLength = 0;
         while (shouldContinue && chunkCount < maxChunks && totalLength < maxTotalLength) {
+            currentSignal()?.throwIfAborted();
             // Check cache first
             const cacheKey = `${url}:${start}:${chunkSize}`;
             let snippet;
@@ -757,18 +1440,16 @@ Answer: [your final, concise answer based on the reasoning above]`;
             allChunks.push(snippet);
             totalLength += snippet.length;
             // Ask AI if more is needed
-            const selectedModel = SettingsController.getSettings().selectedModel;
             let aiReply = '';
             try {
                 const prompt = `Given the following snippet from ${url}, do you need more content to answer the user's question? Please reply with \"YES\" or \"NO\" and a brief reason. If YES, estimate how many more characters you need.\n\nSnippet:\n${snippet}`;
-                if (selectedModel.startsWith('gpt')) {
-                    const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                        { role: 'system', content: 'You are an assistant that decides if more content is needed from a web page.' },
-                        { role: 'user', content: prompt }
-                    ]);
-                    aiReply = res.choices[0].message.content.trim().toLowerCase();
-                }
+                aiReply = (await requestCompletion(
+                    'deep-read',
+                    'You are an assistant that decides if more content is needed from a web page.',
+                    prompt
+                )).toLowerCase();
             } catch (err) {
+                if (isStopped()) throw err;
                 // On error, stop deep reading
                 shouldContinue = false;
                 break;
@@ -801,6 +1482,7 @@ Answer: [your final, concise answer based on the reasoning above]`;
         autoReadInProgress = true;
         try {
             for (let i = 0; i < urlsToRead.length; i++) {
+                currentSignal()?.throwIfAborted();
                 const url = urlsToRead[i];
                 UIController.showSpinner(`Reading ${i + 1} of ${urlsToRead.length} URLs: ${url}...`);
                 await deepReadUrl(url, 5, 2000);
@@ -816,29 +1498,13 @@ Answer: [your final, concise answer based on the reasoning above]`;
     async function suggestResultsToRead(results, query) {
         if (!results || results.length === 0) return;
         const prompt = `Given these search results for the query: "${query}", which results (by number) are most relevant to read in detail?\n\n${results.map((r, i) => `${i+1}. ${r.title} - ${r.snippet}`).join('\n')}\n\nReply with a comma-separated list of result numbers.`;
-        const selectedModel = SettingsController.getSettings().selectedModel;
         let aiReply = '';
         try {
-            if (selectedModel.startsWith('gpt')) {
-                const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                    { role: 'system', content: 'You are an assistant helping to select the most relevant search results.' },
-                    { role: 'user', content: prompt }
-                ]);
-                aiReply = res.choices[0].message.content.trim();
-            } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                const session = ApiService.createGeminiSession(selectedModel);
-                const chatHistory = [
-                    { role: 'system', content: 'You are an assistant helping to select the most relevant search results.' },
-                    { role: 'user', content: prompt }
-                ];
-                const result = await session.sendMessage(prompt, chatHistory);
-                const candidate = result.candidates[0];
-                if (candidate.content.parts) {
-                    aiReply = candidate.content.parts.map(p => p.text).join(' ').trim();
-                } else if (candidate.content.text) {
-                    aiReply = candidate.content.text.trim();
-                }
-            }
+            aiReply = await requestCompletion(
+                'suggest',
+                'You are an assistant helping to select the most relevant search results.',
+                prompt
+            );
             // Optionally, parse and highlight suggested results
             if (aiReply) {
                 UIController.addMessage('ai', `AI suggests reading results: ${aiReply}`);
@@ -846,7 +1512,11 @@ Answer: [your final, concise answer based on the reasoning above]`;
                 await autoReadAndSummarizeFromSuggestion(aiReply);
             }
         } catch (err) {
-            // Ignore suggestion errors
+            if (isStopped()) throw err;
+            // Ignore suggestion errors, but say why the workflow stopped when over budget
+            if (err.name === 'BudgetExceededError') {
+                UIController.addMessage('ai', 'Error: ' + err.message);
+            }
         }
     }
 
@@ -870,141 +1540,94 @@ Answer: [your final, concise answer based on the reasoning above]`;
         return batches;
     }
 
-    // Summarization logic (recursive, context-aware)
-    async function summarizeSnippets(snippets = null, round = 1) {
-        if (!snippets) snippets = readSnippets;
-        if (!snippets.length) return;
-        const selectedModel = SettingsController.getSettings().selectedModel;
-        const MAX_PROMPT_LENGTH = 5857; // chars, safe for most models
-        const SUMMARIZATION_TIMEOUT = 88000; // 88 seconds
+    /**
+     * Summarizes snippets in batches that fit a prompt, combining the batch
+     * summaries in further rounds until the result is short enough
+     * @param {Array} snippets - The texts to summarize
+     * @param {string} source - Where the texts come from, e.g. "web pages"
+     * @param {number} [round] - The summarization round, from 1
+     * @returns {Promise<string>} - The summary
+     */
+    async function summarizeInBatches(snippets, source, round = 1) {
         // If only one snippet, just summarize it directly
         if (snippets.length === 1) {
-            const prompt = `Summarize the following information extracted from web pages (be as concise as possible):\n\n${snippets[0]}`;
-            let aiReply = '';
             UIController.showSpinner(`Round ${round}: Summarizing information...`);
             UIController.showStatus(`Round ${round}: Summarizing information...`);
-            try {
-                if (selectedModel.startsWith('gpt')) {
-                    const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: prompt }
-                    ], SUMMARIZATION_TIMEOUT);
-                    aiReply = res.choices[0].message.content.trim();
-                } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                    const session = ApiService.createGeminiSession(selectedModel);
-                    const chatHistory = [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: prompt }
-                    ];
-                    const result = await session.sendMessage(prompt, chatHistory);
-                    const candidate = result.candidates[0];
-                    if (candidate.content.parts) {
-                        aiReply = candidate.content.parts.map(p => p.text).join(' ').trim();
-                    } else if (candidate.content.text) {
-                        aiReply = candidate.content.text.trim();
-                    }
-                }
-                if (aiReply) {
-                    UIController.addMessage('ai', `Summary:\n${aiReply}`);
-                }
-            } catch (err) {
-                UIController.addMessage('ai', `Summarization failed. Error: ${err && err.message ? err.message : err}`);
-            }
-            UIController.hideSpinner();
-            UIController.clearStatus();
-            readSnippets = [];
-            // Prompt for final answer after summary
-            await synthesizeFinalAnswer(aiReply);
-            return;
+            return requestCompletion(
+                'summarize',
+                'You are an assistant that synthesizes information from multiple sources.',
+                `Summarize the following information extracted from ${source} (be as concise as possible):\n\n${snippets[0]}`,
+                SUMMARIZATION_TIMEOUT
+            );
         }
         // Otherwise, split into batches
         const batches = splitIntoBatches(snippets, MAX_PROMPT_LENGTH);
-        let batchSummaries = [];
+        const batchSummaries = [];
         const totalBatches = batches.length;
+        for (let i = 0; i < totalBatches; i++) {
+            currentSignal()?.throwIfAborted();
+            UIController.showSpinner(`Round ${round}: Summarizing batch ${i + 1} of ${totalBatches}...`);
+            UIController.showStatus(`Round ${round}: Summarizing batch ${i + 1} of ${totalBatches}...`);
+            const batchPrompt = `Summarize the following information extracted from ${source} (be as concise as possible):\n\n${batches[i].join('\n---\n')}`;
+            batchSummaries.push(await requestCompletion(
+                'summarize',
+                'You are an assistant that synthesizes information from multiple sources.',
+                batchPrompt,
+                SUMMARIZATION_TIMEOUT
+            ));
+        }
+        // If the combined summaries are still too long, recursively summarize
+        const combined = batchSummaries.join('\n---\n');
+        if (combined.length > MAX_PROMPT_LENGTH) {
+            UIController.showSpinner(`Round ${round + 1}: Combining summaries...`);
+            UIController.showStatus(`Round ${round + 1}: Combining summaries...`);
+            return summarizeInBatches(batchSummaries, source, round + 1);
+        }
+        UIController.showSpinner(`Round ${round}: Finalizing summary...`);
+        UIController.showStatus(`Round ${round}: Finalizing summary...`);
+        return combined;
+    }
+
+    // Summarization logic: summarize the collected web snippets, then answer from the summary
+    async function summarizeSnippets(snippets = null) {
+        if (!snippets) snippets = readSnippets;
+        if (!snippets.length) return;
+        let summary = '';
         try {
-            for (let i = 0; i < totalBatches; i++) {
-                const batch = batches[i];
-                UIController.showSpinner(`Round ${round}: Summarizing batch ${i + 1} of ${totalBatches}...`);
-                UIController.showStatus(`Round ${round}: Summarizing batch ${i + 1} of ${totalBatches}...`);
-                const batchPrompt = `Summarize the following information extracted from web pages (be as concise as possible):\n\n${batch.join('\n---\n')}`;
-                let batchReply = '';
-                if (selectedModel.startsWith('gpt')) {
-                    const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: batchPrompt }
-                    ], SUMMARIZATION_TIMEOUT);
-                    batchReply = res.choices[0].message.content.trim();
-                } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                    const session = ApiService.createGeminiSession(selectedModel);
-                    const chatHistory = [
-                        { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources.' },
-                        { role: 'user', content: batchPrompt }
-                    ];
-                    const result = await session.sendMessage(batchPrompt, chatHistory);
-                    const candidate = result.candidates[0];
-                    if (candidate.content.parts) {
-                        batchReply = candidate.content.parts.map(p => p.text).join(' ').trim();
-                    } else if (candidate.content.text) {
-                        batchReply = candidate.content.text.trim();
-                    }
-                }
-                batchSummaries.push(batchReply);
-            }
-            // If the combined summaries are still too long, recursively summarize
-            const combined = batchSummaries.join('\n---\n');
-            if (combined.length > MAX_PROMPT_LENGTH) {
-                UIController.showSpinner(`Round ${round + 1}: Combining summaries...`);
-                UIController.showStatus(`Round ${round + 1}: Combining summaries...`);
-                await summarizeSnippets(batchSummaries, round + 1);
-            } else {
-                UIController.showSpinner(`Round ${round}: Finalizing summary...`);
-                UIController.showStatus(`Round ${round}: Finalizing summary...`);
-                UIController.addMessage('ai', `Summary:\n${combined}`);
-                // Prompt for final answer after all summaries
-                await synthesizeFinalAnswer(combined);
+            summary = await summarizeInBatches(snippets, 'web pages');
+            if (summary) {
+                UIController.addMessage('ai', `Summary:\n${summary}`);
             }
         } catch (err) {
-            UIController.addMessage('ai', `Summarization failed. Error: ${err && err.message ? err.message : err}`);
+            if (isStopped()) throw err;
+            UIController.addMessage('ai', `Summarization failed. Error: ${describeError(err)}`);
         }
         UIController.hideSpinner();
         UIController.clearStatus();
         readSnippets = [];
+        // Prompt for final answer after summary
+        await synthesizeFinalAnswer(summary);
+        scheduleSave();
     }
 
     // Add synthesizeFinalAnswer helper
     async function synthesizeFinalAnswer(summaries) {
         if (!summaries || !originalUserQuestion) return;
-        const selectedModel = SettingsController.getSettings().selectedModel;
         const prompt = `Based on the following summaries, provide a final, concise answer to the original question.\n\nSummaries:\n${summaries}\n\nOriginal question: ${originalUserQuestion}`;
         try {
-            let finalAnswer = '';
-            if (selectedModel.startsWith('gpt')) {
-                const res = await ApiService.sendOpenAIRequest(selectedModel, [
-                    { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources and provides a final answer.' },
-                    { role: 'user', content: prompt }
-                ]);
-                finalAnswer = res.choices[0].message.content.trim();
-            } else if (selectedModel.startsWith('gemini') || selectedModel.startsWith('gemma')) {
-                const session = ApiService.createGeminiSession(selectedModel);
-                const chatHistory = [
-                    { role: 'system', content: 'You are an assistant that synthesizes information from multiple sources and provides a final answer.' },
-                    { role: 'user', content: prompt }
-                ];
-                const result = await session.sendMessage(prompt, chatHistory);
-                const candidate = result.candidates[0];
-                if (candidate.content.parts) {
-                    finalAnswer = candidate.content.parts.map(p => p.text).join(' ').trim();
-                } else if (candidate.content.text) {
-                    finalAnswer = candidate.content.text.trim();
-                }
-            }
+            const finalAnswer = await requestCompletion(
+                'synthesize',
+                'You are an assistant that synthesizes information from multiple sources and provides a final answer.',
+                prompt
+            );
             if (finalAnswer) {
                 UIController.addMessage('ai', `Final Answer:\n${finalAnswer}`);
             }
             // Stop tool workflow after final answer
             toolWorkflowActive = false;
         } catch (err) {
-            UIController.addMessage('ai', `Final answer synthesis failed. Error: ${err && err.message ? err.message : err}`);
+            if (isStopped()) throw err;
+            UIController.addMessage('ai', `Final answer synthesis failed. Error: ${describeError(err)}`);
             toolWorkflowActive = false;
         }
     }
@@ -1018,6 +1641,13 @@ Answer: [your final, concise answer based on the reasoning above]`;
         getChatHistory,
         getTotalTokens,
         clearChat,
+        openConversation,
+        importConversation,
+        discardConversation,
+        getConversation,
+        getConversationId,
+        isGenerating,
+        stopGeneration,
         processToolCall,
         getToolCallHistory: () => [...toolCallHistory],
     };
@@ -0,0 +1,569 @@
+/**
+ * ./js/conversation-export.js
+ * Conversation Export Module - Turns conversations into files and back
+ * Markdown and self-contained HTML are for reading; JSON keeps everything,
+ * chat history, transcript and tool calls, and can be imported again
+ */
+const ConversationExport = (function() {
+    'use strict';
+
+    // Identifies the JSON export format and its version
+    const JSON_FORMAT = 'simple-ai-agent-conversation';
+    const JSON_VERSION = 1;
+    // Transcript entries an import may contain, as rendered by UIController
+    const TRANSCRIPT_TYPES = ['message', 'json', 'html', 'search', 'read', 'comparison'];
+    // Images are embedded only in these formats, as base64
+    const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+    const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+    /**
+     * Splits a reply into its Chain of Thought and its answer
+     * @param {Object} entry - A message entry of the transcript
+     * @returns {Object} - { thinking, answer }, thinking '' if there was none
+     */
+    function splitThinking(entry) {
+        const text = entry.text || '';
+        const match = text.match(/^Thinking:([\s\S]*?)\n\s*Answer:([\s\S]*)$/);
+        if (match) {
+            return { thinking: match[1].trim(), answer: match[2].trim() };
+        }
+        return { thinking: entry.thinking || '', answer: text };
+    }
+
+    /**
+     * Makes a file name from a conversation title
+     * @param {Object} conversation - The conversation
+     * @param {string} extension - e.g. 'md'
+     * @returns {string} - The file name
+     */
+    function fileName(conversation, extension) {
+        const slug = String(conversation.title || 'conversation')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 50) || 'conversation';
+        return `${slug}.${extension}`;
+    }
+
+    /**
+     * Describes when and with which model a conversation was held
+     * @param {Object} conversation - The conversation
+     * @returns {string} - e.g. "gpt-4.1-mini · 3/4/2026, 10:00:00 · 1234 tokens"
+     */
+    function describe(conversation) {
+        const usage = conversation.usage || {};
+        return [
+            conversation.model,
+            conversation.createdAt ? new Date(conversation.createdAt).toLocaleString() : '',
+            `${usage.totalTokens || 0} tokens`,
+            conversation.costTotals ? CostTracker.formatCost(conversation.costTotals.cost || 0) : ''
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Formats a tool call's time for listing
+     * @param {string} timestamp - ISO time
+     * @returns {string} - Local time
+     */
+    function formatTime(timestamp) {
+        const date = new Date(timestamp);
+        return isNaN(date) ? String(timestamp || '') : date.toLocaleString();
+    }
+
+    /**
+     * Escapes text for Markdown link labels
+     * @param {string} text - The label
+     * @returns {string} - Label safe inside [...]
+     */
+    function markdownLabel(text) {
+        return String(text || '').replace(/[\\[\]]/g, '\\$&');
+    }
+
+    /**
+     * Makes a Markdown link, or plain text when the URL is not http(s)
+     * @param {string} label - The link text
+     * @param {string} url - The target
+     * @returns {string} - Markdown
+     */
+    function markdownLink(label, url) {
+        const safe = HtmlSanitizer.safeUrl(url);
+        return safe ? `[${markdownLabel(label)}](<${safe.replace(/[<>]/g, encodeURIComponent)}>)` : markdownLabel(label);
+    }
+
+    /**
+     * Quotes text as a Markdown blockquote
+     * @param {string} text - The text
+     * @returns {string} - Markdown
+     */
+    function markdownQuote(text) {
+        return String(text || '').split('\n').map(line => `> ${line}`).join('\n');
+    }
+
+    /**
+     * Formats a message as Markdown
+     * @param {Object} entry - A message entry
+     * @returns {string} - Markdown
+     */
+    function markdownMessage(entry) {
+        const parts = [];
+        if (entry.sender === 'user') {
+            parts.push(entry.text || '');
+        } else {
+            const { thinking, answer } = splitThinking(entry);
+            if (thinking) {
+                parts.push(`**Thinking**\n\n${markdownQuote(thinking)}`);
+            }
+            parts.push(answer);
+        }
+        const names = (entry.attachments || []).map(attachment => attachment.name).filter(Boolean);
+        if (names.length) {
+            parts.push(`_Attached: ${names.join(', ')}_`);
+        }
+        return parts.filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Formats a conversation as Markdown
+     * @param {Object} conversation - The conversation
+     * @returns {string} - The Markdown document
+     */
+    function toMarkdown(conversation) {
+        const sections = [`# ${conversation.title || 'Conversation'}`, `_${describe(conversation)}_`];
+        (conversation.transcript || []).forEach(entry => {
+            let section = '';
+            switch (entry.type) {
+                case 'message':
+                    section = `## ${entry.sender === 'user' ? 'User' : 'Assistant'}\n\n${markdownMessage(entry)}`;
+                    break;
+                case 'json':
+                    section = `## Assistant (JSON)\n\n\`\`\`json\n${JSON.stringify(entry.value, null, 2)}\n\`\`\``;
+                    break;
+                case 'html':
+                    section = `## ${entry.sender === 'user' ? 'User' : 'Assistant'}\n\n${HtmlSanitizer.sanitize(entry.html).textContent}`;
+                    break;
+                case 'search':
+                    section = `## Search result\n\n**${markdownLink(entry.result.title, entry.result.url)}**\n\n${entry.result.snippet || ''}`;
+                    break;
+                case 'read':
+                    section = `## Read from ${markdownLink(entry.url, entry.url)}\n\n${markdownQuote(entry.snippet + (entry.hasMore ? '...' : ''))}`;
+                    break;
+                case 'comparison':
+                    section = ['## Comparison', ...entry.models.map((model, index) => {
+                        const column = (entry.columns || [])[index] || {};
+                        const kept = index === entry.chosen ? ' (kept)' : '';
+                        const meta = column.meta ? `\n\n_${column.meta}_` : '';
+                        return `### ${model}${kept}\n\n${markdownMessage({ ...column, sender: 'ai' })}${meta}`;
+                    })].join('\n\n');
+                    break;
+                default:
+                    return;
+            }
+            if (entry.meta) {
+                section += `\n\n_${entry.meta}_`;
+            }
+            sections.push(section);
+        });
+        const toolCalls = conversation.toolCallHistory || [];
+        if (toolCalls.length) {
+            sections.push('## Tool calls\n\n' + toolCalls
+                .map((call, index) => `${index + 1}. \`${call.tool}\` ${formatTime(call.timestamp)}: \`${JSON.stringify(call.args)}\``)
+                .join('\n'));
+        }
+        return sections.join('\n\n') + '\n';
+    }
+
+    /**
+     * Escapes text for HTML and keeps its line breaks
+     * @param {string} text - The text
+     * @returns {string} - HTML
+     */
+    function htmlText(text) {
+        return Utils.escapeHtml(text || '');
+    }
+
+    /**
+     * Makes an HTML link, or plain text when the URL is not http(s)
+     * @param {string} label - The link text
+     * @param {string} url - The target
+     * @returns {string} - HTML
+     */
+    function htmlLink(label, url) {
+        const safe = HtmlSanitizer.safeUrl(url);
+        return safe
+            ? `<a href="${Utils.escapeHtml(safe)}" rel="noopener noreferrer">${htmlText(label)}</a>`
+            : htmlText(label);
+    }
+
+    /**
+     * Formats a message as HTML
+     * @param {Object} entry - A message entry
+     * @returns {string} - HTML
+     */
+    function htmlMessage(entry) {
+        let html = '';
+        if (entry.sender === 'user') {
+            html = `<div class="text">${htmlText(entry.text)}</div>`;
+        } else {
+            const { thinking, answer } = splitThinking(entry);
+            if (thinking) {
+                html += `<details class="thinking"><summary>Thinking</summary><div class="text">${htmlText(thinking)}</div></details>`;
+            }
+            html += `<div class="text">${htmlText(answer)}</div>`;
+        }
+        (entry.attachments || []).forEach(attachment => {
+            if (attachment.type === 'image' && IMAGE_TYPES.includes(attachment.mimeType) && BASE64_PATTERN.test(attachment.data || '')) {
+                html += `<img src="data:${attachment.mimeType};base64,${attachment.data}" alt="${htmlText(attachment.name)}">`;
+            } else if (attachment.name) {
+                html += `<p class="meta">Attached: ${htmlText(attachment.name)}</p>`;
+            }
+        });
+        return html;
+    }
+
+    /**
+     * Formats a conversation as a self-contained HTML page. It embeds its styles
+     * and images and forbids scripts, so it can be opened anywhere.
+     * @param {Object} conversation - The conversation
+     * @returns {string} - The HTML document
+     */
+    function toHtml(conversation) {
+        const items = (conversation.transcript || []).map(entry => {
+            let body = '';
+            let kind = entry.sender === 'user' ? 'user' : 'ai';
+            switch (entry.type) {
+                case 'message':
+                    body = htmlMessage(entry);
+                    break;
+                case 'json':
+                    body = `<pre>${htmlText(JSON.stringify(entry.value, null, 2))}</pre>`;
+                    break;
+                case 'html':
+                    body = `<div class="text">${htmlText(HtmlSanitizer.sanitize(entry.html).textContent)}</div>`;
+                    break;
+                case 'search':
+                    kind = 'tool';
+                    body = `<strong>${htmlLink(entry.result.title, entry.result.url)}</strong>` +
+                        `<p class="meta">${htmlText(entry.result.url)}</p><p>${htmlText(entry.result.snippet)}</p>`;
+                    break;
+                case 'read':
+                    kind = 'tool';
+                    body = `<strong>Read from: ${htmlLink(entry.url, entry.url)}</strong>` +
+                        `<div class="text">${htmlText(entry.snippet)}${entry.hasMore ? '...' : ''}</div>`;
+                    break;
+                case 'comparison':
+                    kind = 'comparison';
+                    body = entry.models.map((model, index) => {
+                        const column = (entry.columns || [])[index] || {};
+                        const kept = index === entry.chosen ? ' (kept)' : '';
+                        const meta = column.meta ? `<p class="meta">${htmlText(column.meta)}</p>` : '';
+                        return `<div class="column"><h3>${htmlText(model + kept)}</h3>${htmlMessage({ ...column, sender: 'ai' })}${meta}</div>`;
+                    }).join('');
+                    break;
+                default:
+                    return '';
+            }
+            const meta = entry.meta ? `<p class="meta">${htmlText(entry.meta)}</p>` : '';
+            return `<article class="${kind}">${body}${meta}</article>`;
+        }).join('\n');
+        const toolCalls = (conversation.toolCallHistory || []).map(call =>
+            `<li><code>${htmlText(call.tool)}</code> ${htmlText(formatTime(call.timestamp))}: <code>${htmlText(JSON.stringify(call.args))}</code></li>`
+        ).join('\n');
+        const title = htmlText(conversation.title || 'Conversation');
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data:">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>
+body { font-family: Arial, sans-serif; max-width: 50rem; margin: 0 auto; padding: 1rem; color: #333; }
+article { margin: 0.75rem 0; padding: 0.5rem 0.75rem; border-radius: 8px; background: #f1f0f0; }
+article.user { background: #dcf8c6; margin-left: 15%; }
+article.tool { background: #fff; border: 1px solid #ddd; }
+article.comparison { display: flex; gap: 0.75rem; background: none; padding: 0; }
+.column { flex: 1; min-width: 0; padding: 0.5rem 0.75rem; border-radius: 8px; background: #f1f0f0; }
+.column h3 { margin: 0 0 0.5rem; font-size: 0.9rem; }
+.text { white-space: pre-wrap; overflow-wrap: anywhere; }
+.thinking { margin-bottom: 0.5rem; color: #666; }
+.meta { font-size: 0.8rem; color: #666; margin: 0.25rem 0 0; }
+pre { white-space: pre-wrap; overflow-wrap: anywhere; }
+img { max-width: 100%; display: block; margin-top: 0.5rem; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="meta">${htmlText(describe(conversation))}</p>
+${items}
+${toolCalls ? `<h2>Tool calls</h2>\n<ol>\n${toolCalls}\n</ol>` : ''}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Formats a conversation as JSON that import restores completely
+     * @param {Object} conversation - The conversation
+     * @returns {string} - The JSON document
+     */
+    function toJson(conversation) {
+        return JSON.stringify({
+            format: JSON_FORMAT,
+            version: JSON_VERSION,
+            exportedAt: new Date().toISOString(),
+            conversation
+        }, null, 2);
+    }
+
+    /**
+     * Checks whether a value is a string, or left out
+     * @param {*} value - The value
+     * @returns {boolean} - True for strings and undefined
+     */
+    function isOptionalString(value) {
+        return value === undefined || typeof value === 'string';
+    }
+
+    /**
+     * Checks an image embedded as base64
+     * @param {Object} image - { mimeType, data }
+     * @returns {boolean} - True if it is one of the allowed formats
+     */
+    function isValidImage(image) {
+        return IMAGE_TYPES.includes(image.mimeType) && typeof image.data === 'string' && BASE64_PATTERN.test(image.data);
+    }
+
+    /**
+     * Keeps the well-formed attachments of an imported message
+     * @param {*} attachments - [{ type: 'image', mimeType, data, name } or { type: 'document', name }]
+     * @returns {Array} - The attachments that can be shown
+     */
+    function cleanAttachments(attachments) {
+        if (!Array.isArray(attachments)) return [];
+        return attachments.filter(attachment => attachment && typeof attachment === 'object' && isOptionalString(attachment.name) && (
+            (attachment.type === 'image' && isValidImage(attachment)) ||
+            (attachment.type === 'document' && typeof attachment.name === 'string')
+        )).map(({ type, mimeType, data, name }) => type === 'image' ? { type, mimeType, data, name } : { type, name });
+    }
+
+    /**
+     * Rebuilds a transcript entry from an imported file, keeping only what can be shown
+     * @param {*} entry - The entry
+     * @returns {Object|null} - The entry with its known, well-formed fields, null if it cannot be rendered
+     */
+    function cleanEntry(entry) {
+        if (!entry || typeof entry !== 'object' || !TRANSCRIPT_TYPES.includes(entry.type)) return null;
+        const meta = typeof entry.meta === 'string' ? { meta: entry.meta } : {};
+        const isSender = sender => sender === 'user' || sender === 'ai';
+        switch (entry.type) {
+            case 'message': {
+                if (typeof entry.text !== 'string' || !isSender(entry.sender)) return null;
+                const attachments = cleanAttachments(entry.attachments);
+                return {
+                    type: 'message', sender: entry.sender, text: entry.text,
+                    ...(attachments.length ? { attachments } : {}),
+                    ...(typeof entry.thinking === 'string' ? { thinking: entry.thinking } : {}),
+                    ...meta
+                };
+            }
+            case 'json':
+                return entry.value === undefined ? null : { type: 'json', value: entry.value, ...meta };
+            case 'html':
+                if (typeof entry.html !== 'string' || !isSender(entry.sender)) return null;
+                return { type: 'html', sender: entry.sender, html: entry.html, ...meta };
+            case 'search': {
+                const result = entry.result;
+                if (!result || typeof result.url !== 'string' || !isOptionalString(result.title) || !isOptionalString(result.snippet)) return null;
+                return { type: 'search', result: { title: result.title || '', url: result.url, snippet: result.snippet || '' }, ...meta };
+            }
+            case 'read':
+                if (typeof entry.url !== 'string' || typeof entry.snippet !== 'string') return null;
+                return { type: 'read', url: entry.url, snippet: entry.snippet, hasMore: entry.hasMore === true, ...meta };
+            case 'comparison': {
+                if (!Array.isArray(entry.models) || !entry.models.every(model => typeof model === 'string')) return null;
+                const columns = entry.models.map((model, index) => {
+                    const column = Array.isArray(entry.columns) ? entry.columns[index] : null;
+                    if (!column || typeof column !== 'object') return { text: '' };
+                    return {
+                        text: typeof column.text === 'string' ? column.text : '',
+                        ...(typeof column.thinking === 'string' ? { thinking: column.thinking } : {}),
+                        ...(typeof column.meta === 'string' ? { meta: column.meta } : {})
+                    };
+                });
+                const chosen = Number.isInteger(entry.chosen) && entry.chosen >= 0 && entry.chosen < entry.models.length
+                    ? entry.chosen
+                    : -1;
+                const pickable = entry.models.map((model, index) => Array.isArray(entry.pickable) && entry.pickable[index] === true);
+                return { type: 'comparison', models: [...entry.models], columns, chosen, pickable, ...meta };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Reads a count or amount from an imported file
+     * @param {*} value - The value
+     * @returns {number} - The value if it is a finite number of at least 0, else 0
+     */
+    function cleanNumber(value) {
+        return Number.isFinite(value) && value >= 0 ? value : 0;
+    }
+
+    /**
+     * Rebuilds the token usage of an imported conversation
+     * @param {*} usage - { promptTokens, completionTokens, totalTokens }
+     * @returns {Object} - The usage with numeric counts
+     */
+    function cleanUsage(usage) {
+        const source = usage && typeof usage === 'object' ? usage : {};
+        return {
+            promptTokens: cleanNumber(source.promptTokens),
+            completionTokens: cleanNumber(source.completionTokens),
+            totalTokens: cleanNumber(source.totalTokens)
+        };
+    }
+
+    /**
+     * Rebuilds the cost totals of an imported conversation
+     * @param {*} totals - { cost, promptTokens, completionTokens, byStep }
+     * @returns {Object} - The totals with numeric amounts
+     */
+    function cleanCostTotals(totals) {
+        const source = totals && typeof totals === 'object' ? totals : {};
+        const cleanAmounts = amounts => ({
+            cost: cleanNumber(amounts.cost),
+            promptTokens: cleanNumber(amounts.promptTokens),
+            completionTokens: cleanNumber(amounts.completionTokens)
+        });
+        const byStep = {};
+        if (source.byStep && typeof source.byStep === 'object') {
+            Object.entries(source.byStep).forEach(([step, amounts]) => {
+                if (amounts && typeof amounts === 'object') byStep[step] = cleanAmounts(amounts);
+            });
+        }
+        return { ...cleanAmounts(source), byStep };
+    }
+
+    /**
+     * Keeps the well-formed entries of an imported tool call log
+     * @param {*} toolCallHistory - [{ tool, args, timestamp }]
+     * @returns {Array} - The entries
+     */
+    function cleanToolCallHistory(toolCallHistory) {
+        if (!Array.isArray(toolCallHistory)) return [];
+        return toolCallHistory
+            .filter(call => call && typeof call.tool === 'string' && typeof call.timestamp === 'string' &&
+                call.args && typeof call.args === 'object' && !Array.isArray(call.args))
+            .map(({ tool, args, timestamp }) => ({ tool, args, timestamp }));
+    }
+
+    /**
+     * Checks the content of an imported chat history turn
+     * @param {*} content - A string, or an array of text and image parts
+     * @returns {boolean} - Whether the providers can be sent the content
+     */
+    function isValidContent(content) {
+        if (typeof content === 'string') return true;
+        return Array.isArray(content) && content.every(part => {
+            if (!part || typeof part !== 'object') return false;
+            if (part.type === 'text') return typeof part.text === 'string';
+            return part.type === 'image' && isValidImage(part);
+        });
+    }
+
+    /**
+     * Checks the tool calls of an imported assistant turn
+     * @param {*} toolCalls - [{ id, name, arguments }]
+     * @returns {boolean} - Whether every call is well formed
+     */
+    function isValidToolCalls(toolCalls) {
+        return Array.isArray(toolCalls) && toolCalls.length > 0 && toolCalls.every(call =>
+            call && typeof call.id === 'string' && typeof call.name === 'string' &&
+            call.arguments && typeof call.arguments === 'object' && !Array.isArray(call.arguments));
+    }
+
+    /**
+     * Keeps the user, assistant and tool turns of an imported chat history.
+     * The history is sent to the model but never shown, so system messages are
+     * dropped (the app adds its own), malformed turns are left out and tool
+     * results are kept only right after the call they answer.
+     * @param {Array} chatHistory - The imported chat history
+     * @returns {Array} - The turns that can be sent on
+     */
+    function sanitizeHistory(chatHistory) {
+        const history = [];
+        // Calls of the last assistant turn still waiting for their result
+        let pending = [];
+        const answerPending = () => {
+            pending.forEach(call => history.push({ role: 'tool', toolCallId: call.id, name: call.name, content: 'No result.' }));
+            pending = [];
+        };
+        chatHistory.forEach(item => {
+            if (!item || typeof item !== 'object') return;
+            if (item.role === 'tool') {
+                const call = pending.find(c => c.id === item.toolCallId);
+                if (!call || typeof item.content !== 'string') return;
+                pending = pending.filter(c => c !== call);
+                history.push({ role: 'tool', toolCallId: call.id, name: call.name, content: item.content });
+                return;
+            }
+            if ((item.role !== 'user' && item.role !== 'assistant') || !isValidContent(item.content)) return;
+            answerPending();
+            const turn = { role: item.role, content: item.content };
+            if (item.role === 'assistant' && isValidToolCalls(item.toolCalls)) {
+                turn.toolCalls = item.toolCalls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args }));
+                pending = [...turn.toolCalls];
+            }
+            history.push(turn);
+        });
+        answerPending();
+        return history;
+    }
+
+    /**
+     * Reads a conversation exported as JSON
+     * @param {string} text - The file content
+     * @returns {Object} - The conversation, its chat history without system messages
+     * @throws {Error} - If the file is not a conversation export, or from a newer version
+     */
+    function parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`The file is not valid JSON (${err.message})`);
+        }
+        if (!data || data.format !== JSON_FORMAT || !data.conversation) {
+            throw new Error('The file is not an exported conversation');
+        }
+        if (!(data.version <= JSON_VERSION)) {
+            throw new Error('The conversation was exported by a newer version of the app');
+        }
+        const conversation = data.conversation;
+        if (!Array.isArray(conversation.chatHistory) || !Array.isArray(conversation.transcript)) {
+            throw new Error('The exported conversation has no chat history');
+        }
+        const now = Date.now();
+        return {
+            title: typeof conversation.title === 'string' ? conversation.title : 'Imported conversation',
+            model: typeof conversation.model === 'string' ? conversation.model : '',
+            createdAt: Number(conversation.createdAt) || now,
+            updatedAt: now,
+            usage: cleanUsage(conversation.usage),
+            costTotals: cleanCostTotals(conversation.costTotals),
+            toolCallHistory: cleanToolCallHistory(conversation.toolCallHistory),
+            chatHistory: sanitizeHistory(conversation.chatHistory),
+            transcript: conversation.transcript.map(cleanEntry).filter(Boolean)
+        };
+    }
+
+    // Public API
+    return {
+        fileName,
+        toMarkdown,
+        toHtml,
+        toJson,
+        parseJson
+    };
+})();
@@ -0,0 +1,178 @@
+/**
+ * ./js/conversation-store.js
+ * Conversation Store Module - Keeps past conversations in IndexedDB
+ * Each conversation holds its chat history, what was rendered in the chat
+ * window, token usage and tool calls, so it can be reopened later
+ */
+const ConversationStore = (function() {
+    'use strict';
+
+    const DB_NAME = 'chat_library';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'conversations';
+    // Conversations are titled after their first message, cut to this length
+    const MAX_TITLE_LENGTH = 60;
+
+    // Called after any conversation is saved, changed or deleted
+    const listeners = [];
+
+    /**
+     * Runs one operation in a transaction on the conversation store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - store => IDBRequest whose result is returned
+     * @returns {Promise<*>} - The request result, once the transaction is complete
+     */
+    function transact(mode, operation) {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('This browser cannot store conversations'));
+                return;
+            }
+            const open = indexedDB.open(DB_NAME, DB_VERSION);
+            open.onupgradeneeded = () => open.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            open.onerror = () => reject(open.error);
+            open.onsuccess = () => {
+                const db = open.result;
+                const transaction = db.transaction(STORE_NAME, mode);
+                const request = operation(transaction.objectStore(STORE_NAME));
+                transaction.oncomplete = () => {
+                    db.close();
+                    resolve(request ? request.result : undefined);
+                };
+                transaction.onerror = transaction.onabort = () => {
+                    db.close();
+                    reject(transaction.error);
+                };
+            };
+        });
+    }
+
+    /**
+     * Tells the listeners that the stored conversations changed
+     */
+    function notify() {
+        listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (err) {
+                console.error('Error in conversation listener:', err);
+            }
+        });
+    }
+
+    /**
+     * Creates the id of a new conversation
+     * @returns {string} - A random id
+     */
+    function createId() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+
+    /**
+     * Makes a conversation title from its first message
+     * @param {string} text - The first user message
+     * @returns {string} - The title
+     */
+    function titleFrom(text) {
+        const line = String(text || '').replace(/\s+/g, ' ').trim();
+        if (!line) return 'New conversation';
+        return line.length > MAX_TITLE_LENGTH ? line.slice(0, MAX_TITLE_LENGTH - 1) + '…' : line;
+    }
+
+    /**
+     * Saves a conversation. The title, pin and creation time of a conversation
+     * already in the library are kept, as the library changes those.
+     * @param {Object} conversation - { id, title, model, createdAt, updatedAt, pinned,
+     *   usage, costTotals, chatHistory, toolCallHistory, transcript }
+     * @returns {Promise<void>}
+     */
+    async function save(conversation) {
+        await transact('readwrite', store => {
+            const existing = store.get(conversation.id);
+            existing.onsuccess = () => {
+                const saved = existing.result;
+                store.put(saved
+                    ? { ...conversation, title: saved.title, pinned: saved.pinned, createdAt: saved.createdAt }
+                    : conversation);
+            };
+            return null;
+        });
+        notify();
+    }
+
+    /**
+     * Gets a conversation
+     * @param {string} id - The conversation id
+     * @returns {Promise<Object|null>} - The conversation, null if it was deleted
+     */
+    async function get(id) {
+        return (await transact('readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * Lists the conversations, pinned ones first, then the most recent
+     * @returns {Promise<Array>} - [{ id, title, model, createdAt, updatedAt, pinned, totalTokens }]
+     */
+    async function list() {
+        const conversations = await transact('readonly', store => store.getAll());
+        return conversations
+            .map(({ id, title, model, createdAt, updatedAt, pinned, usage }) => ({
+                id, title, model, createdAt, updatedAt,
+                pinned: Boolean(pinned),
+                totalTokens: usage ? usage.totalTokens : 0
+            }))
+            .sort((a, b) => (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt));
+    }
+
+    /**
+     * Changes the title or pin of a conversation
+     * @param {string} id - The conversation id
+     * @param {Object} changes - { title } and/or { pinned }
+     * @returns {Promise<void>}
+     */
+    async function update(id, changes) {
+        await transact('readwrite', store => {
+            const existing = store.get(id);
+            existing.onsuccess = () => {
+                if (!existing.result) return;
+                const updated = { ...existing.result };
+                if (changes.title !== undefined) updated.title = titleFrom(changes.title);
+                if (changes.pinned !== undefined) updated.pinned = Boolean(changes.pinned);
+                store.put(updated);
+            };
+            return null;
+        });
+        notify();
+    }
+
+    /**
+     * Deletes a conversation
+     * @param {string} id - The conversation id
+     * @returns {Promise<void>}
+     */
+    async function remove(id) {
+        await transact('readwrite', store => store.delete(id));
+        notify();
+    }
+
+    /**
+     * Registers a listener called whenever the stored conversations change
+     * @param {Function} listener - Called without arguments
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    // Public API
+    return {
+        createId,
+        titleFrom,
+        save,
+        get,
+        list,
+        update,
+        remove,
+        onChange
+    };
+})();
@@ -0,0 +1,245 @@
+/**
+ * ./js/cost-tracker.js
+ * Cost Tracker Module - Estimates spending from token usage
+ * Keeps per-conversation and per-day totals by workflow step and enforces budgets
+ */
+const CostTracker = (function() {
+    'use strict';
+
+    // USD per million tokens; a model uses the longest matching prefix
+    const PRICING = {
+        'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+        'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+        'gpt-4.1': { input: 2.00, output: 8.00 },
+        'gpt-4o-mini': { input: 0.15, output: 0.60 },
+        'gpt-4o': { input: 2.50, output: 10.00 },
+        'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+        'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+        'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+        'gemma': { input: 0, output: 0 },
+        'claude-sonnet-4': { input: 3.00, output: 15.00 },
+        'claude-haiku-4': { input: 1.00, output: 5.00 },
+        'claude-opus-4': { input: 15.00, output: 75.00 },
+        // Self-hosted models cost nothing per token
+        'local:': { input: 0, output: 0 },
+        // Scripted replies for offline testing
+        'mock:': { input: 0, output: 0 }
+    };
+
+    // Share of a budget after which a warning is shown
+    const WARN_RATIO = 0.8;
+    const DAILY_STORAGE_KEY = 'chat_spend_daily';
+
+    // Private state
+    let budget = { daily: 0, conversation: 0 }; // USD, 0 = no limit
+    let conversation = emptyTotals();
+    const warned = { daily: false, conversation: false };
+
+    /**
+     * Creates an empty set of running totals
+     * @returns {Object} - { cost, promptTokens, completionTokens, byStep }
+     */
+    function emptyTotals() {
+        return { cost: 0, promptTokens: 0, completionTokens: 0, byStep: {} };
+    }
+
+    /**
+     * Gets today's date as YYYY-MM-DD in local time
+     * @returns {string} - The date key
+     */
+    function todayKey() {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Loads today's totals from localStorage, starting fresh on a new day
+     * @returns {Object} - Today's totals
+     */
+    function loadDaily() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(DAILY_STORAGE_KEY));
+            if (saved && saved.date === todayKey()) {
+                return saved.totals;
+            }
+        } catch (err) {
+            console.error('Error reading daily spend:', err);
+        }
+        warned.daily = false;
+        return emptyTotals();
+    }
+
+    /**
+     * Saves today's totals to localStorage
+     * @param {Object} totals - Today's totals
+     */
+    function saveDaily(totals) {
+        localStorage.setItem(DAILY_STORAGE_KEY, JSON.stringify({ date: todayKey(), totals }));
+    }
+
+    /**
+     * Finds the price of a model
+     * @param {string} model - The model name
+     * @returns {Object|null} - { input, output } in USD per million tokens, null if unknown
+     */
+    function getPrice(model) {
+        const key = Object.keys(PRICING)
+            .filter(prefix => model.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        return key ? PRICING[key] : null;
+    }
+
+    /**
+     * Estimates the cost of one request
+     * @param {string} model - The model used
+     * @param {Object} usage - { promptTokens, completionTokens }
+     * @returns {Object} - { inputCost, outputCost, cost, priced }
+     */
+    function estimateCost(model, usage) {
+        const price = getPrice(model);
+        if (!price) {
+            return { inputCost: 0, outputCost: 0, cost: 0, priced: false };
+        }
+        const inputCost = usage.promptTokens * price.input / 1e6;
+        const outputCost = usage.completionTokens * price.output / 1e6;
+        return { inputCost, outputCost, cost: inputCost + outputCost, priced: true };
+    }
+
+    /**
+     * Adds one request to a set of totals
+     * @param {Object} totals - The totals to update
+     * @param {Object} entry - The recorded request
+     */
+    function addToTotals(totals, entry) {
+        totals.cost += entry.cost;
+        totals.promptTokens += entry.promptTokens;
+        totals.completionTokens += entry.completionTokens;
+        const step = totals.byStep[entry.step] ||
+            (totals.byStep[entry.step] = { cost: 0, promptTokens: 0, completionTokens: 0 });
+        step.cost += entry.cost;
+        step.promptTokens += entry.promptTokens;
+        step.completionTokens += entry.completionTokens;
+    }
+
+    /**
+     * Records the usage of one request
+     * @param {string} model - The model used
+     * @param {Object} usage - { promptTokens, completionTokens }
+     * @param {string} step - Workflow step that spent the tokens (chat, suggest, summarize...)
+     * @returns {Object} - The entry, with `warnings` for budgets that crossed the warning level
+     */
+    function record(model, usage, step) {
+        const estimate = estimateCost(model, usage);
+        const entry = {
+            model,
+            step,
+            promptTokens: usage.promptTokens,
+            completionTokens: usage.completionTokens,
+            inputCost: estimate.inputCost,
+            outputCost: estimate.outputCost,
+            cost: estimate.cost,
+            priced: estimate.priced,
+            warnings: []
+        };
+
+        const daily = loadDaily();
+        addToTotals(conversation, entry);
+        addToTotals(daily, entry);
+        saveDaily(daily);
+
+        if (budget.daily && !warned.daily && daily.cost >= budget.daily * WARN_RATIO) {
+            warned.daily = true;
+            entry.warnings.push(`Warning: ${formatCost(daily.cost)} of the ${formatCost(budget.daily)} daily budget has been spent.`);
+        }
+        if (budget.conversation && !warned.conversation && conversation.cost >= budget.conversation * WARN_RATIO) {
+            warned.conversation = true;
+            entry.warnings.push(`Warning: ${formatCost(conversation.cost)} of the ${formatCost(budget.conversation)} conversation budget has been spent.`);
+        }
+        return entry;
+    }
+
+    /**
+     * Throws if a budget is exhausted, so no further request is sent
+     */
+    function checkBudget() {
+        const daily = loadDaily();
+        let message = '';
+        if (budget.daily && daily.cost >= budget.daily) {
+            message = `Daily budget of ${formatCost(budget.daily)} reached (spent ${formatCost(daily.cost)}). Raise it in Settings or try again tomorrow.`;
+        } else if (budget.conversation && conversation.cost >= budget.conversation) {
+            message = `Conversation budget of ${formatCost(budget.conversation)} reached (spent ${formatCost(conversation.cost)}). Clear the chat or raise it in Settings.`;
+        }
+        if (message) {
+            const err = new Error(message);
+            err.name = 'BudgetExceededError';
+            throw err;
+        }
+    }
+
+    /**
+     * Sets the spending limits
+     * @param {Object} limits - { daily, conversation } in USD, 0 for no limit
+     */
+    function setBudget(limits) {
+        budget = {
+            daily: Math.max(0, Number(limits.daily) || 0),
+            conversation: Math.max(0, Number(limits.conversation) || 0)
+        };
+        warned.daily = false;
+        warned.conversation = false;
+    }
+
+    /**
+     * Starts a new conversation total
+     */
+    function resetConversation() {
+        conversation = emptyTotals();
+        warned.conversation = false;
+    }
+
+    /**
+     * Continues the totals of a reopened conversation
+     * @param {Object} [totals] - { cost, promptTokens, completionTokens, byStep } as saved from getSummary
+     */
+    function restoreConversation(totals) {
+        conversation = { ...emptyTotals(), ...(totals || {}) };
+        warned.conversation = false;
+    }
+
+    /**
+     * Gets the current totals
+     * @returns {Object} - { conversation, daily, budget }
+     */
+    function getSummary() {
+        return {
+            conversation: JSON.parse(JSON.stringify(conversation)),
+            daily: loadDaily(),
+            budget: { ...budget }
+        };
+    }
+
+    /**
+     * Formats a USD amount, keeping precision for small sums
+     * @param {number} amount - The amount in USD
+     * @returns {string} - e.g. "$0.0042"
+     */
+    function formatCost(amount) {
+        const digits = amount >= 1 ? 2 : amount >= 0.01 ? 4 : 6;
+        return '$' + amount.toFixed(digits);
+    }
+
+    // Public API
+    return {
+        getPrice,
+        estimateCost,
+        record,
+        checkBudget,
+        setBudget,
+        resetConversation,
+        restoreConversation,
+        getSummary,
+        formatCost
+    };
+})();
@@ -0,0 +1,130 @@
+/**
+ * ./js/document-service.js
+ * Document Service Module - Extracts text from local files in the browser
+ * Reads plain text, Markdown, CSV and PDF files and splits them into chunks
+ */
+const DocumentService = (function() {
+    'use strict';
+
+    // pdf.js 3.11.174 (pdfjs-dist build/), vendored so no third-party script runs
+    // beside the unlocked API keys and PDFs can be read offline. It is only
+    // loaded the first time a PDF is attached.
+    const PDFJS_URL = 'js/vendor/pdfjs/pdf.min.js';
+    const PDFJS_WORKER_URL = 'js/vendor/pdfjs/pdf.worker.min.js';
+    const TEXT_EXTENSIONS = ['txt', 'md', 'markdown', 'csv'];
+    const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/csv'];
+
+    // Private state
+    let pdfjsPromise = null;
+
+    /**
+     * Gets the lower-case extension of a file name
+     * @param {string} name - The file name
+     * @returns {string} - The extension without the dot, '' if none
+     */
+    function extensionOf(name) {
+        const match = /\.([^.]+)$/.exec(name || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Checks whether a file is a PDF
+     * @param {File} file - The file
+     * @returns {boolean} - True for PDFs
+     */
+    function isPdf(file) {
+        return file.type === 'application/pdf' || extensionOf(file.name) === 'pdf';
+    }
+
+    /**
+     * Checks whether text can be extracted from a file
+     * @param {File} file - The file
+     * @returns {boolean} - True for text, Markdown, CSV and PDF files
+     */
+    function isSupported(file) {
+        return isPdf(file) || TEXT_TYPES.includes(file.type) || TEXT_EXTENSIONS.includes(extensionOf(file.name));
+    }
+
+    /**
+     * Loads pdf.js once
+     * @returns {Promise<Object>} - The pdfjsLib global
+     */
+    function loadPdfJs() {
+        if (!pdfjsPromise) {
+            pdfjsPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = PDFJS_URL;
+                script.onload = () => {
+                    window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+                    resolve(window.pdfjsLib);
+                };
+                script.onerror = () => {
+                    // Allow another attempt
+                    pdfjsPromise = null;
+                    reject(new Error('Could not load the PDF reader'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return pdfjsPromise;
+    }
+
+    /**
+     * Extracts the text of a PDF, page by page
+     * @param {File} file - The PDF file
+     * @returns {Promise<string>} - The text, pages separated by blank lines
+     */
+    async function extractPdfText(file) {
+        const pdfjsLib = await loadPdfJs();
+        const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+        const pages = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''));
+        }
+        return pages.join('\n\n');
+    }
+
+    /**
+     * Extracts the text of a file
+     * @param {File} file - A text, Markdown, CSV or PDF file
+     * @returns {Promise<string>} - The text
+     */
+    async function extractText(file) {
+        if (!isSupported(file)) {
+            throw new Error('Unsupported file type');
+        }
+        const text = isPdf(file) ? await extractPdfText(file) : await file.text();
+        return text.replace(/\r\n/g, '\n').trim();
+    }
+
+    /**
+     * Splits text into chunks, breaking at paragraphs or lines where possible
+     * @param {string} text - The text to split
+     * @param {number} [chunkSize] - Maximum chunk length in characters
+     * @returns {Array} - The chunks
+     */
+    function chunkText(text, chunkSize = 2000) {
+        const chunks = [];
+        let rest = text;
+        while (rest.length > chunkSize) {
+            const head = rest.slice(0, chunkSize);
+            // Prefer a paragraph break, then a line break, in the second half of the chunk
+            let cut = head.lastIndexOf('\n\n');
+            if (cut < chunkSize / 2) cut = head.lastIndexOf('\n');
+            if (cut < chunkSize / 2) cut = chunkSize;
+            chunks.push(rest.slice(0, cut).trim());
+            rest = rest.slice(cut);
+        }
+        if (rest.trim()) chunks.push(rest.trim());
+        return chunks;
+    }
+
+    // Public API
+    return {
+        isSupported,
+        extractText,
+        chunkText
+    };
+})();
@@ -0,0 +1,137 @@
+/**
+ * ./js/html-sanitizer.js
+ * HTML Sanitizer Module - Renders HTML into the chat without letting it run script
+ * Markup is parsed inertly, then only allow-listed tags, attributes and URL
+ * schemes are copied into the page
+ */
+const HtmlSanitizer = (function() {
+    'use strict';
+
+    // Tags kept as they are; others are unwrapped to their content
+    const ALLOWED_TAGS = new Set([
+        'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'del', 'details', 'div',
+        'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'li', 'ol', 'p',
+        'pre', 's', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table',
+        'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+    ]);
+    // Tags dropped together with their content
+    const DROPPED_TAGS = new Set([
+        'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+        'applet', 'noscript', 'noembed', 'svg', 'math', 'link', 'meta', 'base',
+        'form', 'input', 'textarea', 'select', 'option', 'button'
+    ]);
+    // Attributes allowed on any kept tag
+    const GLOBAL_ATTRIBUTES = new Set(['class', 'title', 'role', 'aria-label', 'aria-live', 'aria-busy', 'aria-hidden']);
+    // Further attributes allowed per tag
+    const TAG_ATTRIBUTES = {
+        a: new Set(['href']),
+        img: new Set(['src', 'alt', 'width', 'height']),
+        td: new Set(['colspan', 'rowspan']),
+        th: new Set(['colspan', 'rowspan', 'scope']),
+        ol: new Set(['start']),
+        details: new Set(['open'])
+    };
+    // Attributes holding URLs, which must use one of these schemes
+    const URL_ATTRIBUTES = new Set(['href', 'src']);
+    const LINK_SCHEMES = ['http:', 'https:', 'mailto:'];
+    // Images are only shown when embedded, so showing one never contacts another host
+    const IMAGE_URL_PATTERN = /^data:image\/(?:png|jpeg|gif|webp);base64,[A-Za-z0-9+/]*={0,2}$/;
+
+    /**
+     * Checks a URL and resolves it against the page
+     * @param {string} url - The URL, e.g. from a search result or a model reply
+     * @param {Array<string>} [schemes] - Allowed schemes
+     * @returns {string} - The absolute URL, '' if it is malformed or uses another
+     *   scheme such as javascript: or data:
+     */
+    function safeUrl(url, schemes = LINK_SCHEMES) {
+        if (typeof url !== 'string' || !url.trim()) return '';
+        try {
+            // URL parsing strips the whitespace and control characters browsers ignore in schemes
+            const parsed = new URL(url.trim(), window.location.href);
+            return schemes.includes(parsed.protocol) ? parsed.href : '';
+        } catch (err) {
+            return '';
+        }
+    }
+
+    /**
+     * Checks an image source
+     * @param {string} url - The source, e.g. from an attachment or imported HTML
+     * @returns {string} - The URL if it embeds a PNG, JPEG, GIF or WebP image as base64, else ''
+     */
+    function safeImageUrl(url) {
+        if (typeof url !== 'string') return '';
+        const trimmed = url.trim();
+        return IMAGE_URL_PATTERN.test(trimmed) ? trimmed : '';
+    }
+
+    /**
+     * Copies a parsed node into the page document, keeping only what is allowed
+     * @param {Node} node - The node from the inert document
+     * @param {Node} parent - Where to append the clean copy
+     */
+    function copyClean(node, parent) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            parent.appendChild(document.createTextNode(node.nodeValue));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.localName;
+        if (DROPPED_TAGS.has(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') return;
+        if (!ALLOWED_TAGS.has(tag)) {
+            node.childNodes.forEach(child => copyClean(child, parent));
+            return;
+        }
+
+        const element = document.createElement(tag);
+        const tagAttributes = TAG_ATTRIBUTES[tag];
+        for (const { name, value } of node.attributes) {
+            if (!GLOBAL_ATTRIBUTES.has(name) && !(tagAttributes && tagAttributes.has(name))) continue;
+            if (URL_ATTRIBUTES.has(name)) {
+                const url = tag === 'img' ? safeImageUrl(value) : safeUrl(value);
+                if (url) element.setAttribute(name, url);
+                continue;
+            }
+            element.setAttribute(name, value);
+        }
+        if (tag === 'a' && element.hasAttribute('href')) {
+            // Links open outside the app and cannot reach back into it
+            element.setAttribute('target', '_blank');
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+        node.childNodes.forEach(child => copyClean(child, element));
+        parent.appendChild(element);
+    }
+
+    /**
+     * Sanitizes HTML. It is parsed in a document without scripting, so nothing in
+     * it runs or loads while it is checked.
+     * @param {string} html - Untrusted HTML
+     * @returns {DocumentFragment} - The allowed part, ready to insert
+     */
+    function sanitize(html) {
+        const parsed = new DOMParser().parseFromString(`<body>${html == null ? '' : String(html)}</body>`, 'text/html');
+        const fragment = document.createDocumentFragment();
+        parsed.body.childNodes.forEach(node => copyClean(node, fragment));
+        return fragment;
+    }
+
+    /**
+     * Replaces the content of an element with sanitized HTML
+     * @param {Element} element - The element to fill
+     * @param {string} html - Untrusted HTML
+     */
+    function render(element, html) {
+        element.replaceChildren(sanitize(html));
+    }
+
+    // Public API
+    return {
+        sanitize,
+        render,
+        safeUrl,
+        safeImageUrl
+    };
+})();
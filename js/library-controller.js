@@ -0,0 +1,290 @@
+/**
+ * ./js/library-controller.js
+ * Library Controller Module - Manages the sidebar of saved conversations
+ * Lists past conversations and opens, renames, pins and deletes them;
+ * exports the open conversation and imports exported ones
+ */
+const LibraryController = (function() {
+    'use strict';
+
+    // Export formats offered in the sidebar
+    const EXPORT_FORMATS = {
+        markdown: { extension: 'md', mimeType: 'text/markdown', format: conversation => ConversationExport.toMarkdown(conversation) },
+        html: { extension: 'html', mimeType: 'text/html', format: conversation => ConversationExport.toHtml(conversation) },
+        json: { extension: 'json', mimeType: 'application/json', format: conversation => ConversationExport.toJson(conversation) }
+    };
+
+    /**
+     * Initializes the sidebar and keeps it in step with the stored conversations
+     */
+    function init() {
+        document.getElementById('history-button').addEventListener('click', toggleLibrary);
+        document.getElementById('close-library').addEventListener('click', hideLibrary);
+        document.getElementById('conversation-library').addEventListener('keydown', function(event) {
+            if (event.key === 'Escape') {
+                hideLibrary();
+                document.getElementById('history-button').focus();
+            }
+        });
+        ConversationStore.onChange(() => {
+            if (isOpen()) refresh();
+        });
+        
+        document.getElementById('conversation-transfer').addEventListener('click', function(event) {
+            const button = event.target.closest('[data-export]');
+            if (button) {
+                exportConversation(button.dataset.export);
+            }
+        });
+        const importInput = document.getElementById('import-conversation-input');
+        document.getElementById('import-conversation').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (file) importConversation(file);
+        });
+    }
+
+    /**
+     * Checks whether the sidebar is shown
+     * @returns {boolean} - True while it is open
+     */
+    function isOpen() {
+        return !document.getElementById('conversation-library').hidden;
+    }
+
+    /**
+     * Shows the sidebar with the current list of conversations
+     */
+    function showLibrary() {
+        document.getElementById('conversation-library').hidden = false;
+        document.getElementById('history-button').setAttribute('aria-expanded', 'true');
+        refresh();
+        document.getElementById('close-library').focus();
+    }
+
+    /**
+     * Hides the sidebar
+     */
+    function hideLibrary() {
+        document.getElementById('conversation-library').hidden = true;
+        document.getElementById('history-button').setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Shows or hides the sidebar
+     */
+    function toggleLibrary() {
+        if (isOpen()) {
+            hideLibrary();
+        } else {
+            showLibrary();
+        }
+    }
+
+    /**
+     * Shows a line above the list, e.g. when there is nothing to list
+     * @param {string} text - The text, '' to hide the line
+     */
+    function setStatus(text) {
+        document.getElementById('conversation-library-status').textContent = text;
+    }
+
+    /**
+     * Reloads the list of conversations
+     * @returns {Promise<void>}
+     */
+    async function refresh() {
+        let conversations;
+        try {
+            conversations = await ConversationStore.list();
+        } catch (err) {
+            console.error('Error listing conversations:', err);
+            setStatus(`Saved conversations are unavailable: ${err.message}`);
+            document.getElementById('conversation-list').replaceChildren();
+            return;
+        }
+        setStatus(conversations.length ? '' : 'Conversations are saved here as you chat.');
+        const currentId = ChatController.getConversationId();
+        document.getElementById('conversation-list').replaceChildren(
+            ...conversations.map(conversation => createListItem(conversation, conversation.id === currentId))
+        );
+    }
+
+    /**
+     * Creates the list entry of a conversation
+     * @param {Object} conversation - { id, title, model, updatedAt, pinned, totalTokens }
+     * @param {boolean} current - Whether it is the open conversation
+     * @returns {Element} - The list item
+     */
+    function createListItem(conversation, current) {
+        const item = document.createElement('li');
+        item.className = 'conversation-library__item';
+        if (current) {
+            item.classList.add('conversation-library__item--active');
+            item.setAttribute('aria-current', 'true');
+        }
+
+        const openButton = document.createElement('button');
+        openButton.className = 'conversation-library__open';
+        const name = document.createElement('span');
+        name.className = 'conversation-library__name';
+        name.textContent = conversation.title;
+        const meta = document.createElement('span');
+        meta.className = 'conversation-library__meta';
+        meta.textContent = [
+            conversation.model,
+            new Date(conversation.updatedAt).toLocaleString(),
+            `${conversation.totalTokens} tokens`
+        ].filter(Boolean).join(' · ');
+        openButton.append(name, meta);
+        openButton.addEventListener('click', () => openConversation(conversation.id));
+
+        item.append(
+            openButton,
+            createAction(conversation.pinned ? '★' : '☆', `${conversation.pinned ? 'Unpin' : 'Pin'} ${conversation.title}`,
+                () => ConversationStore.update(conversation.id, { pinned: !conversation.pinned }), conversation.pinned),
+            createAction('✎', `Rename ${conversation.title}`, () => renameConversation(conversation)),
+            createAction('🗑', `Delete ${conversation.title}`, () => deleteConversation(conversation))
+        );
+        return item;
+    }
+
+    /**
+     * Creates a small icon button acting on a conversation
+     * @param {string} icon - The button text
+     * @param {string} label - Accessible name and tooltip
+     * @param {Function} onClick - Returns a promise that settles when done
+     * @param {boolean} [pressed] - Toggle state, for toggle buttons
+     * @returns {Element} - The button
+     */
+    function createAction(icon, label, onClick, pressed) {
+        const button = document.createElement('button');
+        button.className = 'conversation-library__action';
+        button.textContent = icon;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        if (pressed !== undefined) {
+            button.setAttribute('aria-pressed', String(pressed));
+        }
+        button.addEventListener('click', () => {
+            Promise.resolve(onClick()).catch(err => {
+                console.error('Error updating the conversation:', err);
+                alert(`Could not update the conversation: ${err.message}`);
+            });
+        });
+        return button;
+    }
+
+    /**
+     * Opens a conversation in the chat window
+     * @param {string} id - The conversation id
+     * @returns {Promise<void>}
+     */
+    async function openConversation(id) {
+        let opened = false;
+        try {
+            opened = await ChatController.openConversation(id);
+        } catch (err) {
+            console.error('Error opening the conversation:', err);
+        }
+        if (!opened) {
+            alert('This conversation cannot be opened now. Wait for the current reply, or stop it, and try again.');
+            return;
+        }
+        refresh();
+    }
+
+    /**
+     * Asks for a new title and renames a conversation
+     * @param {Object} conversation - The listed conversation
+     * @returns {Promise<void>}
+     */
+    async function renameConversation(conversation) {
+        const title = prompt('Rename conversation:', conversation.title);
+        if (title === null || !title.trim()) return;
+        await ConversationStore.update(conversation.id, { title });
+    }
+
+    /**
+     * Deletes a conversation after confirmation. Deleting the open conversation starts a new chat.
+     * @param {Object} conversation - The listed conversation
+     * @returns {Promise<void>}
+     */
+    async function deleteConversation(conversation) {
+        if (!confirm(`Delete "${conversation.title}"? This cannot be undone.`)) return;
+        // Start over first, so the open conversation is not saved again after it is deleted
+        if (conversation.id === ChatController.getConversationId() && !await ChatController.discardConversation()) {
+            alert('Wait for the current reply, or stop it, before deleting this conversation.');
+            return;
+        }
+        await ConversationStore.remove(conversation.id);
+    }
+
+    /**
+     * Downloads the open conversation in one of the export formats
+     * @param {string} format - 'markdown', 'html' or 'json'
+     * @returns {Promise<void>}
+     */
+    async function exportConversation(format) {
+        const exporter = EXPORT_FORMATS[format];
+        if (!exporter) return;
+        const conversation = ChatController.getConversation();
+        if (!conversation.transcript.length) {
+            alert('There is nothing to export yet.');
+            return;
+        }
+        // The library may know the conversation under another title
+        if (conversation.id) {
+            try {
+                const saved = await ConversationStore.get(conversation.id);
+                if (saved) {
+                    Object.assign(conversation, { title: saved.title, pinned: saved.pinned, createdAt: saved.createdAt });
+                }
+            } catch (err) {
+                console.error('Error reading the saved conversation:', err);
+            }
+        }
+        Utils.downloadFile(
+            ConversationExport.fileName(conversation, exporter.extension),
+            exporter.format(conversation),
+            exporter.mimeType
+        );
+    }
+
+    /**
+     * Opens a conversation exported as JSON and adds it to the library
+     * @param {File} file - The exported file
+     * @returns {Promise<void>}
+     */
+    async function importConversation(file) {
+        let conversation;
+        try {
+            conversation = ConversationExport.parseJson(await file.text());
+        } catch (err) {
+            alert(`Cannot import ${file.name}: ${err.message}.`);
+            return;
+        }
+        let imported;
+        try {
+            imported = await ChatController.importConversation(conversation);
+        } catch (err) {
+            console.error('Error importing the conversation:', err);
+            alert(`Cannot import ${file.name}: ${err.message}.`);
+            return;
+        }
+        if (!imported) {
+            alert('Wait for the current reply, or stop it, before importing a conversation.');
+            return;
+        }
+        refresh();
+    }
+
+    // Public API
+    return {
+        init,
+        showLibrary,
+        hideLibrary,
+        refresh
+    };
+})();
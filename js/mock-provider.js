@@ -0,0 +1,273 @@
+/**
+ * ./js/mock-provider.js
+ * Mock Provider Module - Replays scripted replies for offline testing
+ * Serves `mock:` models from a fixture of canned replies, streamed chunks,
+ * tool calls, errors and tool results, so no network or API key is needed
+ */
+const MockProvider = (function() {
+    'use strict';
+
+    const MODEL_PREFIX = 'mock:';
+    const FIXTURE_URL = 'fixtures/mock-provider.json';
+    // A fixture loaded in settings replaces the bundled one until reset
+    const CUSTOM_FIXTURE_KEY = 'chat_mock_fixture';
+
+    // Private state
+    let fixture = null;
+    let fixtureName = '';
+    let fixturePromise = null;
+    // Times each reply was used, by index, for replies limited with `times`
+    const replyUses = new Map();
+
+    /**
+     * Checks a fixture and compiles its match patterns
+     * @param {Object} data - The parsed fixture
+     * @returns {Object} - { models, replies, tools } with each reply's patterns as RegExps
+     * @throws {Error} - If the fixture is malformed
+     */
+    function compileFixture(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.replies)) {
+            throw new Error('A fixture needs a "replies" array');
+        }
+        const replies = data.replies.map((reply, index) => {
+            const patterns = {};
+            Object.entries(reply.match || {}).forEach(([field, source]) => {
+                if (field === 'model' || field === 'role') return;
+                try {
+                    patterns[field] = new RegExp(source, 'i');
+                } catch (err) {
+                    throw new Error(`Reply ${index + 1}: invalid ${field} pattern (${err.message})`);
+                }
+            });
+            return { ...reply, patterns };
+        });
+        return {
+            models: Array.isArray(data.models) ? data.models : [{ id: 'mock:demo', label: 'Mock (offline demo)' }],
+            replies,
+            tools: data.tools || {}
+        };
+    }
+
+    /**
+     * Reads a fixture saved from settings
+     * @returns {Object|null} - { name, data }, null if none is saved
+     */
+    function readCustomFixture() {
+        try {
+            return JSON.parse(localStorage.getItem(CUSTOM_FIXTURE_KEY));
+        } catch (err) {
+            console.error('Error reading the mock fixture:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Loads the fixture once: the one saved from settings, else the bundled file
+     * @returns {Promise<Object>} - The compiled fixture
+     */
+    function loadFixture() {
+        if (fixture) return Promise.resolve(fixture);
+        if (!fixturePromise) {
+            fixturePromise = (async () => {
+                const custom = readCustomFixture();
+                if (custom) {
+                    fixture = compileFixture(custom.data);
+                    fixtureName = custom.name;
+                } else {
+                    const response = await Utils.fetchWithRetry(FIXTURE_URL, {}, 1, 0, 10000);
+                    fixture = compileFixture(await Utils.readJson(response));
+                    fixtureName = '';
+                }
+                return fixture;
+            })().finally(() => {
+                fixturePromise = null;
+            });
+        }
+        return fixturePromise;
+    }
+
+    /**
+     * Replaces the fixture with one loaded in settings, starting the script over
+     * @param {Object} data - The parsed fixture
+     * @param {string} name - The file name, shown in settings
+     * @throws {Error} - If the fixture is malformed
+     */
+    function setFixture(data, name) {
+        fixture = compileFixture(data);
+        fixtureName = name;
+        replyUses.clear();
+        localStorage.setItem(CUSTOM_FIXTURE_KEY, JSON.stringify({ name, data }));
+    }
+
+    /**
+     * Goes back to the bundled fixture
+     */
+    function resetFixture() {
+        localStorage.removeItem(CUSTOM_FIXTURE_KEY);
+        fixture = null;
+        fixtureName = '';
+        replyUses.clear();
+    }
+
+    /**
+     * Describes the fixture in use
+     * @returns {string} - e.g. 'Custom fixture "demo.json" (12 replies)'
+     */
+    function describeFixture() {
+        const custom = fixture ? fixtureName : readCustomFixture()?.name;
+        const replies = fixture ? ` (${fixture.replies.length} replies)` : '';
+        return custom ? `Custom fixture "${custom}"${replies}` : `Bundled fixture${replies}`;
+    }
+
+    /**
+     * Finds the fixture entry of a model
+     * @param {string} model - The model id
+     * @returns {Object|undefined} - { id, label, tools, contextWindow }
+     */
+    function findModel(model) {
+        return fixture?.models.find(entry => entry.id === model);
+    }
+
+    /**
+     * Picks the first reply whose conditions all hold for a request and counts its use.
+     * Conditions: `model`, `role` of the last message, and patterns for the
+     * `system` prompt and the `last` message text.
+     * @param {string} model - The model id
+     * @param {Array} messages - The request messages
+     * @returns {Object} - The reply
+     * @throws {Error} - A bad-request ApiError if no reply matches
+     */
+    function pickReply(model, messages) {
+        const system = messages
+            .filter(item => item.role === 'system')
+            .map(item => ApiService.contentText(item.content))
+            .join('\n');
+        const last = messages[messages.length - 1] || { role: '', content: '' };
+        const text = { system, last: ApiService.contentText(last.content) };
+        const index = fixture.replies.findIndex((reply, i) => {
+            const match = reply.match || {};
+            if (reply.times && (replyUses.get(i) || 0) >= reply.times) return false;
+            if (match.model && match.model !== model) return false;
+            if (match.role && match.role !== last.role) return false;
+            return Object.entries(reply.patterns).every(([field, pattern]) => pattern.test(text[field] || ''));
+        });
+        if (index < 0) {
+            throw Utils.createApiError(Utils.ERROR_TYPES.BAD_REQUEST, 'The mock fixture has no reply for this request');
+        }
+        replyUses.set(index, (replyUses.get(index) || 0) + 1);
+        return fixture.replies[index];
+    }
+
+    /**
+     * Builds the error a reply scripts, typed as a real response would be
+     * @param {Object} error - { status, message, retryAfter } or { type, message }
+     * @returns {Promise<Error>} - The ApiError
+     */
+    async function replyError(error) {
+        if (!error.status) {
+            return Utils.createApiError(error.type || Utils.ERROR_TYPES.NETWORK, error.message || 'Mock failure');
+        }
+        const headers = error.retryAfter !== undefined ? { 'retry-after': String(error.retryAfter) } : {};
+        const body = JSON.stringify({ error: { message: error.message || '' } });
+        return Utils.errorFromResponse(new Response(body, { status: error.status, headers }));
+    }
+
+    /**
+     * Estimates token counts the way providers without a counting endpoint are estimated
+     * @param {Array} messages - The request messages
+     * @param {string} text - The reply text
+     * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+     */
+    function estimateUsage(messages, text) {
+        const promptTokens = Math.ceil(messages.reduce((sum, item) => sum + ApiService.contentText(item.content).length, 0) / 4);
+        const completionTokens = Math.ceil(text.length / 4);
+        return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    }
+
+    /**
+     * Produces the reply to a request, streaming its chunks if asked to.
+     * A reply with both chunks and an error streams the chunks, then fails,
+     * like a connection dropped mid-answer.
+     * @param {string} model - The model id
+     * @param {Array} messages - The request messages
+     * @param {Function|null} onChunk - Callback (chunk, fullText), null when not streaming
+     * @param {Object} options - Request options ({ signal })
+     * @returns {Promise<Object>} - { text, toolCalls, usage }
+     */
+    async function respond(model, messages, onChunk, options = {}) {
+        await loadFixture();
+        options.signal?.throwIfAborted();
+        const reply = pickReply(model, messages);
+        const delay = reply.delayMs || 0;
+        const chunks = reply.chunks || (reply.text || '').match(/\S+\s*|\s+/g) || [];
+        if (reply.error && !reply.chunks) {
+            if (delay) await Utils.sleep(delay, options.signal);
+            throw await replyError(reply.error);
+        }
+
+        let text = '';
+        for (const chunk of chunks) {
+            if (delay) await Utils.sleep(delay, options.signal);
+            options.signal?.throwIfAborted();
+            text += chunk;
+            if (onChunk) onChunk(chunk, text);
+        }
+        if (reply.error) {
+            throw await replyError(reply.error);
+        }
+        const toolCalls = (reply.toolCalls || []).map((call, index) => ({
+            id: call.id || `mock_call_${index + 1}`,
+            name: call.name,
+            arguments: call.arguments || {}
+        }));
+        let usage = estimateUsage(messages, text);
+        if (reply.usage) {
+            const promptTokens = reply.usage.promptTokens || 0;
+            const completionTokens = reply.usage.completionTokens || 0;
+            usage = { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+        }
+        return { text, toolCalls, usage };
+    }
+
+    /**
+     * Answers a tool call from the fixture. The chat controller consults it for
+     * tool calls made while a mock model is selected.
+     * Results are keyed by the query or URL, '*' matching any.
+     * @param {string} tool - web_search, read_url or instant_answer
+     * @param {string} input - The query or URL
+     * @returns {*} - The canned result, undefined to use the network
+     */
+    function toolResult(tool, input) {
+        if (!fixture) return undefined;
+        const results = fixture.tools[tool];
+        if (!results) return undefined;
+        return input in results ? results[input] : results['*'];
+    }
+
+    ApiService.registerProvider({
+        id: 'mock',
+        label: 'Mock (offline)',
+        matches: model => model.startsWith(MODEL_PREFIX),
+        // Mock models use the JSON-text tool protocol unless the fixture says otherwise
+        supportsTools: model => Boolean(findModel(model)?.tools),
+        supportsSchema: () => false,
+        send: (model, messages, options) => respond(model, messages, null, options),
+        stream: (model, messages, onChunk, options) => respond(model, messages, onChunk, options),
+        listModels: async () => {
+            await loadFixture();
+            return fixture.models.map(entry => ApiService.describeModel(entry.id, entry.label, entry.contextWindow));
+        },
+        extractText: result => result.text,
+        extractToolCalls: result => result.toolCalls,
+        extractUsage: result => result.usage,
+        toolResult
+    });
+
+    // Public API
+    return {
+        loadFixture,
+        setFixture,
+        resetFixture,
+        describeFixture
+    };
+})();
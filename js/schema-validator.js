@@ -0,0 +1,192 @@
+/**
+ * ./js/schema-validator.js
+ * Schema Validator Module - Checks values against a JSON Schema
+ * Covers the keywords used for data extraction: types, properties, items,
+ * enums, combinators and the usual string, number and array limits
+ */
+const SchemaValidator = (function() {
+    'use strict';
+
+    /**
+     * Gets the JSON Schema type of a value
+     * @param {*} value - The value
+     * @returns {string} - null, array, integer, number, string, boolean or object
+     */
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    /**
+     * Checks a value against one allowed type
+     * @param {*} value - The value
+     * @param {string} type - The schema type
+     * @returns {boolean} - True if the value has the type
+     */
+    function hasType(value, type) {
+        const actual = typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    /**
+     * Checks two JSON values for equality
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} - True if equal
+     */
+    function jsonEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Collects the errors of a value against a schema
+     * @param {*} value - The value
+     * @param {Object|boolean} schema - The schema
+     * @param {string} path - Where the value sits, e.g. "$.items[0]"
+     * @param {Array} errors - Errors found so far, appended to
+     */
+    function check(value, schema, path, errors) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            errors.push(`${path} is not allowed`);
+            return;
+        }
+
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (schema.nullable) types.push('null');
+            if (!types.some(type => hasType(value, type))) {
+                errors.push(`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`);
+                return;
+            }
+        }
+        if (schema.enum && !schema.enum.some(option => jsonEqual(option, value))) {
+            errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+        }
+        if (schema.const !== undefined && !jsonEqual(schema.const, value)) {
+            errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path} should have at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path} should have at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                errors.push(`${path} should match ${schema.pattern}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path} should be at least ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path} should be at most ${schema.maximum}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push(`${path} should be greater than ${schema.exclusiveMinimum}`);
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                errors.push(`${path} should be less than ${schema.exclusiveMaximum}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} should have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} should have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, errors));
+            }
+        }
+
+        if (typeOf(value) === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push(`${path}.${key} is required`);
+            });
+            Object.keys(value).forEach(key => {
+                if (key in properties) {
+                    check(value[key], properties[key], `${path}.${key}`, errors);
+                } else if (schema.additionalProperties !== undefined) {
+                    check(value[key], schema.additionalProperties, `${path}.${key}`, errors);
+                }
+            });
+        }
+
+        if (schema.allOf) {
+            schema.allOf.forEach(sub => check(value, sub, path, errors));
+        }
+        if (schema.anyOf && !schema.anyOf.some(sub => validate(value, sub, path).valid)) {
+            errors.push(`${path} does not match any of the allowed schemas`);
+        }
+        if (schema.oneOf && schema.oneOf.filter(sub => validate(value, sub, path).valid).length !== 1) {
+            errors.push(`${path} should match exactly one of the allowed schemas`);
+        }
+    }
+
+    /**
+     * Validates a value against a JSON Schema
+     * @param {*} value - The value
+     * @param {Object|boolean} schema - The schema
+     * @param {string} [path] - Name of the root value in error messages
+     * @returns {Object} - { valid, errors } where errors are readable messages
+     */
+    function validate(value, schema, path = '$') {
+        const errors = [];
+        check(value, schema, path, errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Finds what would stop a schema from being used, such as a pattern that
+     * is not a valid regular expression
+     * @param {Object|boolean} schema - The schema
+     * @param {string} [path] - Where the schema sits, e.g. "$.properties.name"
+     * @returns {string} - The problem, '' if there is none
+     */
+    function schemaProblem(schema, path = '$') {
+        if (typeof schema === 'boolean') return '';
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            return `${path} should be a schema object`;
+        }
+        if (schema.pattern !== undefined) {
+            try {
+                new RegExp(schema.pattern, 'u');
+            } catch (err) {
+                return `${path}.pattern is not a valid regular expression (${err.message})`;
+            }
+        }
+        const subschemas = [];
+        if (schema.properties && typeof schema.properties === 'object') {
+            Object.entries(schema.properties).forEach(([key, sub]) => subschemas.push([sub, `${path}.properties.${key}`]));
+        }
+        ['items', 'additionalProperties'].forEach(key => {
+            if (schema[key] !== undefined) subschemas.push([schema[key], `${path}.${key}`]);
+        });
+        ['allOf', 'anyOf', 'oneOf'].forEach(key => {
+            if (Array.isArray(schema[key])) {
+                schema[key].forEach((sub, index) => subschemas.push([sub, `${path}.${key}[${index}]`]));
+            }
+        });
+        for (const [sub, subPath] of subschemas) {
+            const problem = schemaProblem(sub, subPath);
+            if (problem) return problem;
+        }
+        return '';
+    }
+
+    // Public API
+    return {
+        validate,
+        schemaProblem
+    };
+})();
@@ -8,12 +8,37 @@ const SettingsController = (function() {
 
     // Private state
     let settingsModal = null;
-    let settings = {
-        streaming: false, // Default: unchecked
-        enableCoT: true,  // Default: checked
-        showThinking: true,
-        selectedModel: 'gpt-4.1-mini' // Default model
-    };
+    let settings = SettingsStore.getDefaults();
+    // Generation parameters being edited in the modal, and the model they are shown for
+    let draftGenerationParams = {};
+    let editingModel = '';
+
+    // API key inputs in the settings modal, by provider id; each has a status line `<providerId>-key-status`
+    const keyInputs = [
+        { providerId: 'openai', inputId: 'openai-key-input', placeholder: 'sk-...' },
+        { providerId: 'gemini', inputId: 'gemini-key-input', placeholder: 'AIza...' },
+        { providerId: 'anthropic', inputId: 'anthropic-key-input', placeholder: 'sk-ant-...' },
+        { providerId: 'local', inputId: 'custom-endpoint-key-input', placeholder: 'Optional' }
+    ];
+
+    // Numeric generation parameter inputs in the settings modal, with their valid ranges
+    const generationInputs = [
+        { key: 'temperature', inputId: 'gen-temperature', label: 'Temperature', min: 0, max: 2 },
+        { key: 'topP', inputId: 'gen-top-p', label: 'Top-p', min: 0, max: 1 },
+        { key: 'maxOutputTokens', inputId: 'gen-max-tokens', label: 'Max output tokens', min: 1, integer: true },
+        { key: 'seed', inputId: 'gen-seed', label: 'Seed', integer: true },
+        { key: 'presencePenalty', inputId: 'gen-presence-penalty', label: 'Presence penalty', min: -2, max: 2 },
+        { key: 'frequencyPenalty', inputId: 'gen-frequency-penalty', label: 'Frequency penalty', min: -2, max: 2 }
+    ];
+    // OpenAI accepts at most four stop sequences
+    const MAX_STOP_SEQUENCES = 4;
+
+    // Discovered models are cached so later logins fill the selector without waiting
+    const MODEL_CATALOG_KEY = 'chat_model_catalog';
+    const MODEL_CATALOG_TTL = 24 * 60 * 60 * 1000; // 1 day
+    const DEFAULT_MODEL = SettingsStore.getDefaults().selectedModel;
+    // Provider model lists, [{ providerId, label, models, error }], null until discovered
+    let modelCatalog = null;
 
     /**
      * Creates and attaches the settings modal
@@ -26,14 +51,25 @@ const SettingsController = (function() {
         document.body.appendChild(settingsModal);
         
         // Set initial values based on current settings
-        document.getElementById('streaming-toggle').checked = settings.streaming;
-        document.getElementById('cot-toggle').checked = settings.enableCoT;
-        document.getElementById('show-thinking-toggle').checked = settings.showThinking;
-        document.getElementById('model-select').value = settings.selectedModel;
+        renderSettingsForm();
         
         // Add event listeners
+        document.getElementById('model-select').addEventListener('change', switchGenerationModel);
+        document.getElementById('model-select').addEventListener('change', renderModelInfo);
         document.getElementById('save-settings').addEventListener('click', saveSettings);
         document.getElementById('close-settings').addEventListener('click', hideSettingsModal);
+        document.getElementById('mock-fixture-input').addEventListener('change', loadMockFixture);
+        document.getElementById('reset-mock-fixture').addEventListener('click', resetMockFixture);
+        document.getElementById('api-keys').addEventListener('click', handleKeyAction);
+        document.getElementById('export-settings').addEventListener('click', exportSettings);
+        document.getElementById('reset-settings').addEventListener('click', resetSettings);
+        const importInput = document.getElementById('import-settings-input');
+        document.getElementById('import-settings').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (file) importSettings(file);
+        });
         
         // Close when clicking outside the modal content
         settingsModal.addEventListener('click', function(event) {
@@ -53,10 +89,409 @@ const SettingsController = (function() {
         
         // Ensure current settings are reflected when opening
         settingsModal.style.display = 'flex';
+        renderSettingsForm();
+        renderMockFixtureStatus();
+    }
+
+    /**
+     * Fills the settings modal with the current settings
+     */
+    function renderSettingsForm() {
         document.getElementById('streaming-toggle').checked = settings.streaming;
         document.getElementById('cot-toggle').checked = settings.enableCoT;
         document.getElementById('show-thinking-toggle').checked = settings.showThinking;
+        document.getElementById('custom-endpoint-url').value = settings.customEndpointUrl;
+        document.getElementById('custom-endpoint-model').value = settings.customEndpointModel;
+        document.getElementById('trusted-proxy').value = settings.trustedProxy;
+        document.getElementById('daily-budget-input').value = settings.dailyBudget || '';
+        document.getElementById('conversation-budget-input').value = settings.conversationBudget || '';
+        document.getElementById('auto-lock-input').value = settings.autoLockMinutes;
+        document.getElementById('fallback-models').value = settings.fallbackModels.join('\n');
+        document.getElementById('structured-output-toggle').checked = settings.structuredOutput;
+        document.getElementById('compare-toggle').checked = settings.compareMode;
+        document.getElementById('compare-models').value = settings.compareModels.join('\n');
+        document.getElementById('output-schema').value = settings.outputSchema;
+        populateModelSelect();
         document.getElementById('model-select').value = settings.selectedModel;
+        renderModelInfo();
+        updateKeyPlaceholders();
+        startGenerationEditing();
+    }
+
+    /**
+     * Shows which fixture the mock provider replays
+     */
+    function renderMockFixtureStatus() {
+        document.getElementById('mock-fixture-status').textContent = MockProvider.describeFixture();
+    }
+
+    /**
+     * Replaces the mock provider's fixture with the chosen file. Takes effect
+     * at once, as the file cannot be kept in the form until Save.
+     * @param {Event} event - The file input change event
+     */
+    async function loadMockFixture(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            MockProvider.setFixture(JSON.parse(await file.text()), file.name);
+        } catch (err) {
+            alert(`Mock fixture: ${err.message}`);
+            return;
+        }
+        renderMockFixtureStatus();
+        // The fixture may list other mock models
+        loadModelCatalog(true).catch(err => console.error('Error discovering models:', err));
+    }
+
+    /**
+     * Returns the mock provider to the bundled fixture
+     */
+    function resetMockFixture() {
+        MockProvider.resetFixture();
+        renderMockFixtureStatus();
+        loadModelCatalog(true).catch(err => console.error('Error discovering models:', err));
+    }
+
+    /**
+     * Starts editing generation parameters from the saved values
+     */
+    function startGenerationEditing() {
+        draftGenerationParams = JSON.parse(JSON.stringify(settings.generationParams));
+        editingModel = document.getElementById('model-select').value;
+        fillGenerationInputs();
+    }
+
+    /**
+     * Shows the generation parameters of the model being edited
+     */
+    function fillGenerationInputs() {
+        const params = draftGenerationParams[editingModel] || {};
+        document.getElementById('generation-model-name').textContent = editingModel;
+        generationInputs.forEach(({ key, inputId }) => {
+            document.getElementById(inputId).value = params[key] ?? '';
+        });
+        document.getElementById('gen-stop-sequences').value = (params.stopSequences || []).join('\n');
+    }
+
+    /**
+     * Reads and validates the generation parameter inputs
+     * @returns {Object} - The parameters that are set; blank inputs are left out
+     */
+    function readGenerationInputs() {
+        const params = {};
+        generationInputs.forEach(({ key, inputId, label, min, max, integer }) => {
+            const raw = document.getElementById(inputId).value.trim();
+            if (raw === '') return;
+            const value = Number(raw);
+            if (!Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+                throw new Error(`${label} must be ${integer ? 'a whole number' : 'a number'}.`);
+            }
+            if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+                throw new Error(`${label} must be ${max !== undefined ? `between ${min} and ${max}` : `at least ${min}`}.`);
+            }
+            params[key] = value;
+        });
+        const stopSequences = document.getElementById('gen-stop-sequences').value
+            .split('\n')
+            .filter(line => line.trim());
+        if (stopSequences.length > MAX_STOP_SEQUENCES) {
+            throw new Error(`At most ${MAX_STOP_SEQUENCES} stop sequences are allowed.`);
+        }
+        if (stopSequences.length) params.stopSequences = stopSequences;
+        return params;
+    }
+
+    /**
+     * Keeps the edits of the previous model and shows the newly selected one
+     */
+    function switchGenerationModel() {
+        const modelSelect = document.getElementById('model-select');
+        try {
+            draftGenerationParams[editingModel] = readGenerationInputs();
+        } catch (err) {
+            alert(err.message);
+            modelSelect.value = editingModel;
+            return;
+        }
+        editingModel = modelSelect.value;
+        fillGenerationInputs();
+    }
+
+    /**
+     * Indicates in the API key inputs whether a key is already saved
+     */
+    function updateKeyPlaceholders() {
+        keyInputs.forEach(({ providerId, inputId, placeholder }) => {
+            const input = document.getElementById(inputId);
+            input.value = '';
+            input.placeholder = ApiService.hasProviderKey(providerId)
+                ? 'Key saved (leave blank to keep)'
+                : placeholder;
+            showKeyStatus(providerId, '');
+        });
+    }
+
+    /**
+     * Shows the outcome of a key action under the key's input
+     * @param {string} providerId - The provider id
+     * @param {string} text - The message, empty to clear it
+     * @param {string} [state] - 'ok' or 'error' to color the message
+     */
+    function showKeyStatus(providerId, text, state) {
+        const status = document.getElementById(`${providerId}-key-status`);
+        status.textContent = text;
+        status.className = 'settings-modal__key-status' + (state ? ` settings-modal__key-status--${state}` : '');
+    }
+
+    /**
+     * Handles the Test and Remove buttons of the API key inputs
+     * @param {Event} event - Click inside the API keys fieldset
+     */
+    function handleKeyAction(event) {
+        const button = event.target.closest('[data-key-action]');
+        if (!button) return;
+        const providerId = button.dataset.provider;
+        if (button.dataset.keyAction === 'test') {
+            testKey(providerId, button);
+        } else {
+            removeKey(providerId);
+        }
+    }
+
+    /**
+     * Checks the typed key, or the saved one, with a cheap call to its provider
+     * @param {string} providerId - The provider id
+     * @param {HTMLButtonElement} button - The Test button, disabled meanwhile
+     * @returns {Promise<void>}
+     */
+    async function testKey(providerId, button) {
+        const { inputId } = keyInputs.find(entry => entry.providerId === providerId);
+        const key = document.getElementById(inputId).value.trim();
+        const baseUrl = document.getElementById('custom-endpoint-url').value;
+        button.disabled = true;
+        showKeyStatus(providerId, 'Testing...');
+        try {
+            await ApiService.testProviderKey(providerId, key, { baseUrl });
+            let message = 'The key works. Save to keep it.';
+            if (!key) {
+                // Only the custom endpoint can be tested without any key
+                message = ApiService.hasProviderKey(providerId) ? 'The saved key works.' : 'The endpoint answers without a key.';
+            }
+            showKeyStatus(providerId, message, 'ok');
+        } catch (err) {
+            showKeyStatus(providerId, `Test failed: ${err.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Deletes the saved key of a provider and drops its models from the selector
+     * @param {string} providerId - The provider id
+     */
+    function removeKey(providerId) {
+        if (!ApiService.hasProviderKey(providerId)) {
+            showKeyStatus(providerId, 'No key is saved.');
+            return;
+        }
+        ApiService.setProviderKey(providerId, '')
+            .catch(err => alert(`Could not remove the API key: ${err.message}`));
+        updateKeyPlaceholders();
+        showKeyStatus(providerId, 'Key removed.');
+        loadModelCatalog(true).catch(err => console.error('Error discovering models:', err));
+    }
+
+    /**
+     * Discovers the models each configured provider serves, from the cache when fresh,
+     * then refreshes the selector and replaces a selected model that has disappeared
+     * @param {boolean} [force] - Query the providers even if the cache is fresh
+     * @returns {Promise<void>}
+     */
+    async function loadModelCatalog(force = false) {
+        const cached = force ? null : readCachedCatalog();
+        if (cached) {
+            modelCatalog = cached;
+        } else {
+            modelCatalog = await ApiService.listModels();
+            // Providers that failed are queried again next time rather than cached
+            const groups = modelCatalog.filter(group => !group.error);
+            localStorage.setItem(MODEL_CATALOG_KEY, JSON.stringify({ fetchedAt: Date.now(), groups }));
+        }
+        ensureSelectedModelAvailable();
+        populateModelSelect();
+        renderModelInfo();
+    }
+
+    /**
+     * Reads the cached model catalog
+     * @returns {Array|null} - The cached provider groups, null if missing or stale
+     */
+    function readCachedCatalog() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(MODEL_CATALOG_KEY));
+            if (cached && Date.now() - cached.fetchedAt < MODEL_CATALOG_TTL) {
+                return cached.groups;
+            }
+        } catch (err) {
+            console.error('Error reading model cache:', err);
+        }
+        return null;
+    }
+
+    /**
+     * Gets the built-in model list from the settings modal template
+     * @returns {Array} - Model descriptions
+     */
+    function builtInModels() {
+        const template = document.getElementById('settings-modal-template');
+        return [...template.content.querySelectorAll('#model-select option')]
+            .map(option => ApiService.describeModel(option.value, option.textContent));
+    }
+
+    /**
+     * Groups the selectable models by provider. Discovered lists are used where
+     * available; the built-in list stands in for providers that were not listed.
+     * @returns {Array} - [{ providerId, label, models }]
+     */
+    function getModelGroups() {
+        const groups = (modelCatalog || [])
+            .filter(group => !group.error && (group.providerId !== 'local' || settings.customEndpointUrl))
+            .map(group => ({ providerId: group.providerId, label: group.label, models: [...group.models] }));
+        const listed = new Set(groups.map(group => group.providerId));
+        builtInModels().forEach(model => {
+            const provider = ApiService.getProvider(model.id);
+            if (listed.has(provider.id)) return;
+            let group = groups.find(g => g.providerId === provider.id);
+            if (!group) {
+                group = { providerId: provider.id, label: provider.label, models: [] };
+                groups.push(group);
+            }
+            group.models.push(model);
+        });
+        // The configured custom endpoint model, even when the server did not list it
+        if (settings.customEndpointUrl && settings.customEndpointModel) {
+            const id = 'local:' + settings.customEndpointModel;
+            let group = groups.find(g => g.providerId === 'local');
+            if (!group) {
+                group = { providerId: 'local', label: ApiService.getProvider(id).label, models: [] };
+                groups.push(group);
+            }
+            if (!group.models.some(model => model.id === id)) {
+                group.models.push(ApiService.describeModel(id, `Local: ${settings.customEndpointModel}`));
+            }
+        }
+        return groups;
+    }
+
+    /**
+     * Finds the provider id of a model
+     * @param {string} model - The model name
+     * @returns {string|null} - The provider id, null if no provider serves it
+     */
+    function providerIdOf(model) {
+        try {
+            return ApiService.getProvider(model).id;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Switches to another model when the selected one is no longer served.
+     * Models of providers whose list is unknown are kept, as they may still work.
+     */
+    function ensureSelectedModelAvailable() {
+        const selected = settings.selectedModel;
+        const providerId = providerIdOf(selected);
+        const groups = getModelGroups();
+        const ids = groups.flatMap(group => group.models.map(model => model.id));
+        const providerListed = (modelCatalog || []).some(group => group.providerId === providerId && !group.error);
+        if (ids.includes(selected) || (providerId && !providerListed)) return;
+        
+        const sameProvider = groups.find(group => group.providerId === providerId && group.models.length);
+        const fallback = sameProvider
+            ? sameProvider.models[0].id
+            : (ids.includes(DEFAULT_MODEL) ? DEFAULT_MODEL : ids[0]);
+        if (!fallback) return;
+        settings.selectedModel = fallback;
+        ChatController.updateSettings(settings);
+        storeSettings();
+        UIController.addMessage('ai', `Model "${selected}" is no longer available. Switched to "${fallback}".`);
+    }
+
+    /**
+     * Fills the model selector with the grouped models, keeping the current choice
+     */
+    function populateModelSelect() {
+        const modelSelect = document.getElementById('model-select');
+        if (!modelSelect) return;
+        const current = modelSelect.value || settings.selectedModel;
+        const groups = getModelGroups();
+        // Keep a selected model whose provider could not be listed
+        const selectedProvider = providerIdOf(settings.selectedModel);
+        if (selectedProvider && !groups.some(group => group.models.some(model => model.id === settings.selectedModel))) {
+            let group = groups.find(g => g.providerId === selectedProvider);
+            if (!group) {
+                group = { providerId: selectedProvider, label: ApiService.getProvider(settings.selectedModel).label, models: [] };
+                groups.push(group);
+            }
+            group.models.push(ApiService.describeModel(settings.selectedModel));
+        }
+        modelSelect.replaceChildren(...groups.map(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            group.models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.id;
+                option.textContent = model.contextWindow
+                    ? `${model.label} (${formatContextWindow(model.contextWindow)})`
+                    : model.label;
+                optgroup.appendChild(option);
+            });
+            return optgroup;
+        }));
+        modelSelect.value = current;
+        if (!modelSelect.value) modelSelect.value = settings.selectedModel;
+    }
+
+    /**
+     * Shows capability badges and the context window of the model in the selector
+     */
+    function renderModelInfo() {
+        const info = document.getElementById('model-capabilities');
+        if (!info) return;
+        const id = document.getElementById('model-select').value;
+        const model = getModelGroups().flatMap(group => group.models).find(m => m.id === id)
+            || (providerIdOf(id) ? ApiService.describeModel(id) : null);
+        info.replaceChildren();
+        if (!model) return;
+        const badges = Object.entries(model.capabilities)
+            .filter(([, supported]) => supported)
+            .map(([capability]) => capability);
+        if (model.contextWindow) {
+            badges.push(`${formatContextWindow(model.contextWindow)} context`);
+        }
+        badges.forEach(text => {
+            const badge = document.createElement('span');
+            badge.className = 'settings-modal__badge';
+            badge.textContent = text;
+            info.appendChild(badge);
+        });
+    }
+
+    /**
+     * Formats a context window size, e.g. 128000 -> "128K", 1047576 -> "1M"
+     * @param {number} tokens - The number of tokens
+     * @returns {string} - The short form
+     */
+    function formatContextWindow(tokens) {
+        if (tokens >= 1000000) {
+            return `${Math.round(tokens / 100000) / 10}M`;
+        }
+        // Sizes such as 32768 are conventionally written in binary thousands (32K)
+        return `${tokens % 1000 === 0 ? tokens / 1000 : Math.round(tokens / 1024)}K`;
     }
 
     /**
@@ -76,56 +511,231 @@ const SettingsController = (function() {
         const cotEnabled = document.getElementById('cot-toggle').checked;
         const showThinkingEnabled = document.getElementById('show-thinking-toggle').checked;
         const selectedModelValue = document.getElementById('model-select').value;
+        const customEndpointUrl = document.getElementById('custom-endpoint-url').value.trim();
+        const customEndpointModel = document.getElementById('custom-endpoint-model').value.trim();
+        const previousEndpointUrl = settings.customEndpointUrl;
+        const previousEndpointModel = settings.customEndpointModel;
+        const trustedProxy = document.getElementById('trusted-proxy').value.trim();
+        const dailyBudget = Math.max(0, parseFloat(document.getElementById('daily-budget-input').value) || 0);
+        const conversationBudget = Math.max(0, parseFloat(document.getElementById('conversation-budget-input').value) || 0);
+        const autoLockMinutes = Math.max(0, Math.round(parseFloat(document.getElementById('auto-lock-input').value) || 0));
+        const fallbackModels = [...new Set(document.getElementById('fallback-models').value
+            .split('\n').map(model => model.trim()).filter(Boolean))];
+        
+        if (trustedProxy && !SettingsStore.isSecureUrl(trustedProxy)) {
+            alert('The trusted proxy must be an https:// URL (http:// is only accepted for localhost).');
+            return;
+        }
+        
+        const unknownFallback = fallbackModels.find(model => !providerIdOf(model));
+        if (unknownFallback) {
+            alert(`No provider serves the fallback model "${unknownFallback}".`);
+            return;
+        }
+        
+        const compareMode = document.getElementById('compare-toggle').checked;
+        const compareModels = [...new Set(document.getElementById('compare-models').value
+            .split('\n').map(model => model.trim()).filter(Boolean))];
+        const unknownCompared = compareModels.find(model => !providerIdOf(model));
+        if (unknownCompared) {
+            alert(`No provider serves the model "${unknownCompared}" to compare with.`);
+            return;
+        }
+        if (compareMode && !compareModels.some(model => model !== selectedModelValue)) {
+            alert('Add at least one other model to compare with.');
+            return;
+        }
+        
+        const structuredOutput = document.getElementById('structured-output-toggle').checked;
+        const outputSchemaText = document.getElementById('output-schema').value.trim();
+        if (structuredOutput || outputSchemaText) {
+            const problem = outputSchemaProblem(outputSchemaText);
+            if (problem) {
+                alert(`Output schema: ${problem}`);
+                return;
+            }
+        }
+        
+        try {
+            draftGenerationParams[editingModel] = readGenerationInputs();
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+        
+        // API keys are stored encrypted by the API service, never with the settings
+        let keysChanged = false;
+        try {
+            keyInputs.forEach(({ providerId, inputId }) => {
+                const key = document.getElementById(inputId).value.trim();
+                if (key) {
+                    ApiService.setProviderKey(providerId, key)
+                        .catch(err => alert(`Could not save the API key: ${err.message}`));
+                    keysChanged = true;
+                }
+            });
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
         
         settings = {
             ...settings,
             streaming: streamingEnabled,
             enableCoT: cotEnabled,
             showThinking: showThinkingEnabled,
-            selectedModel: selectedModelValue
+            selectedModel: selectedModelValue,
+            customEndpointUrl,
+            customEndpointModel,
+            trustedProxy,
+            dailyBudget,
+            conversationBudget,
+            fallbackModels,
+            structuredOutput,
+            compareMode,
+            compareModels,
+            autoLockMinutes,
+            outputSchema: outputSchemaText,
+            // Models left entirely at their defaults are not stored
+            generationParams: Object.fromEntries(Object.entries(draftGenerationParams)
+                .filter(([, params]) => Object.keys(params).length))
         };
         
+        // Point the custom provider at the configured server
+        ApiService.setCustomEndpoint(customEndpointUrl);
+        Utils.setTrustedProxy(trustedProxy);
+        CostTracker.setBudget({ daily: dailyBudget, conversation: conversationBudget });
+        if (settings.selectedModel.startsWith('local:')) {
+            // Follow a renamed local model, or fall back if the endpoint was removed
+            if (!customEndpointUrl) {
+                settings.selectedModel = DEFAULT_MODEL;
+            } else if (settings.selectedModel === 'local:' + previousEndpointModel && customEndpointModel) {
+                settings.selectedModel = 'local:' + customEndpointModel;
+            }
+        }
+        populateModelSelect();
+        
         // Update the chat controller settings
         ChatController.updateSettings(settings);
         
-        // Save settings to cookie
-        Utils.saveSettingsToCookie(settings);
+        if (!storeSettings()) return;
         
         // Hide modal
         hideSettingsModal();
+        
+        // New credentials or another server may serve other models
+        if (keysChanged || previousEndpointUrl !== customEndpointUrl || previousEndpointModel !== customEndpointModel) {
+            loadModelCatalog(true).catch(err => console.error('Error discovering models:', err));
+        }
     }
 
     /**
-     * Initializes settings from cookies or defaults
+     * Initializes settings from the settings store
      */
     function initSettings() {
-        const savedSettings = Utils.getSettingsFromCookie();
-        if (savedSettings) {
-            // Ensure all expected keys are present, merging saved settings over defaults
-            settings = { 
-                streaming: false, // Default: unchecked
-                enableCoT: true,  // Default: checked
-                showThinking: true, // Default
-                selectedModel: 'gpt-4.1-mini', // Default
-                ...savedSettings // Overwrite with saved values if they exist
-            };
-        } else {
-             // If no cookie, ensure defaults are set (redundant but safe)
-             settings = {
-                streaming: false, // Default: unchecked
-                enableCoT: true,  // Default: checked
-                showThinking: true,
-                selectedModel: 'gpt-4.1-mini'
-             };
-        }
-        
-        // Apply settings to chat controller
-        ChatController.updateSettings(settings);
+        settings = SettingsStore.load();
+        applySettings();
         
         // Set up settings button
         document.getElementById('settings-button').addEventListener('click', showSettingsModal);
     }
 
+    /**
+     * Passes the current settings on to the services and the chat controller
+     */
+    function applySettings() {
+        ApiService.setCustomEndpoint(settings.customEndpointUrl);
+        Utils.setTrustedProxy(settings.trustedProxy);
+        CostTracker.setBudget({ daily: settings.dailyBudget, conversation: settings.conversationBudget });
+        ChatController.updateSettings(settings);
+    }
+
+    /**
+     * Saves the current settings
+     * @returns {boolean} - True if they were saved
+     */
+    function storeSettings() {
+        try {
+            settings = SettingsStore.save(settings);
+            return true;
+        } catch (err) {
+            console.error('Error saving settings:', err);
+            alert(`Could not save the settings: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Replaces all settings, e.g. with imported ones or the defaults, and shows them
+     * @param {Object} newSettings - Validated settings
+     */
+    function replaceSettings(newSettings) {
+        const endpointChanged = newSettings.customEndpointUrl !== settings.customEndpointUrl ||
+            newSettings.customEndpointModel !== settings.customEndpointModel;
+        settings = newSettings;
+        applySettings();
+        storeSettings();
+        if (endpointChanged) {
+            // Another server may serve other models
+            loadModelCatalog(true).catch(err => console.error('Error discovering models:', err));
+        } else {
+            ensureSelectedModelAvailable();
+        }
+        renderSettingsForm();
+    }
+
+    /**
+     * Downloads the current settings as JSON, to share them or move them to another browser
+     */
+    function exportSettings() {
+        Utils.downloadFile('simple-ai-agent-settings.json', SettingsStore.exportJson(settings), 'application/json');
+    }
+
+    /**
+     * Replaces the settings with ones exported as JSON
+     * @param {File} file - The exported file
+     * @returns {Promise<void>}
+     */
+    async function importSettings(file) {
+        let imported;
+        try {
+            imported = SettingsStore.parseJson(await file.text());
+        } catch (err) {
+            alert(`Cannot import ${file.name}: ${err.message}.`);
+            return;
+        }
+        // Both addresses are sent API keys, so a shared file must not change them unnoticed
+        const keyDestinations = [
+            { key: 'trustedProxy', label: 'Trusted proxy (receives every API key)' },
+            { key: 'customEndpointUrl', label: 'Custom endpoint (receives the custom endpoint key)' }
+        ]
+            .filter(({ key }) => imported.settings[key] !== settings[key])
+            .map(({ key, label }) => `\n\n${label}:\n  now: ${settings[key] || 'none'}\n  new: ${imported.settings[key] || 'none'}`);
+        if (!confirm(`Replace all settings with those in ${file.name}? API keys are not changed.${keyDestinations.join('')}`)) return;
+        replaceSettings(imported.settings);
+        if (imported.errors.length) {
+            alert(`Imported with changes:\n${imported.errors.join('\n')}`);
+        }
+    }
+
+    /**
+     * Puts every setting back to its default after confirmation
+     */
+    function resetSettings() {
+        if (!confirm('Reset all settings to their defaults? API keys and saved conversations are kept.')) return;
+        replaceSettings(SettingsStore.reset());
+    }
+
+    /**
+     * Changes some settings outside the settings modal and saves them
+     * @param {Object} changes - The settings to change, e.g. { rememberHours: 8 }
+     */
+    function updateSettings(changes) {
+        settings = { ...settings, ...changes };
+        applySettings();
+        storeSettings();
+    }
+
     /**
      * Get current settings
      * @returns {Object} - The current settings
@@ -134,11 +744,59 @@ const SettingsController = (function() {
         return { ...settings };
     }
 
+    /**
+     * Gets the generation parameters configured for a model
+     * @param {string} model - The model name
+     * @returns {Object} - { temperature, topP, maxOutputTokens, stopSequences, seed,
+     *   presencePenalty, frequencyPenalty }, with unset parameters left out
+     */
+    function getGenerationParams(model) {
+        return { ...(settings.generationParams[model] || {}) };
+    }
+
+    /**
+     * Checks that a schema typed in the settings is usable
+     * @param {string} text - The schema as typed
+     * @returns {string} - What is wrong with it, '' if nothing
+     */
+    function outputSchemaProblem(text) {
+        if (!text) return 'enter a JSON Schema to use structured output.';
+        let schema;
+        try {
+            schema = JSON.parse(text);
+        } catch (err) {
+            return `not valid JSON (${err.message}).`;
+        }
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            return 'the schema must be a JSON object.';
+        }
+        const problem = SchemaValidator.schemaProblem(schema);
+        return problem ? `${problem}.` : '';
+    }
+
+    /**
+     * Gets the schema replies must match when structured output is on
+     * @returns {Object|null} - The JSON Schema, null when structured output is off
+     */
+    function getOutputSchema() {
+        if (!settings.structuredOutput) return null;
+        try {
+            return JSON.parse(settings.outputSchema);
+        } catch (err) {
+            console.error('Error reading output schema:', err);
+            return null;
+        }
+    }
+
     // Public API
     return {
         init: initSettings,
         showSettingsModal,
         hideSettingsModal,
-        getSettings
+        getSettings,
+        updateSettings,
+        getGenerationParams,
+        getOutputSchema,
+        loadModelCatalog
     };
 })(); 
\ No newline at end of file
@@ -0,0 +1,300 @@
+/**
+ * ./js/settings-store.js
+ * Settings Store Module - Keeps the user's settings in localStorage
+ * Stored settings carry a schema version and are migrated and validated as
+ * they are loaded, so older saves and imported files always yield usable settings
+ */
+const SettingsStore = (function() {
+    'use strict';
+
+    const STORAGE_KEY = 'chat_settings';
+    // Earlier versions kept the settings in a cookie and the output schema beside them
+    const LEGACY_COOKIE = 'chat_settings';
+    const LEGACY_OUTPUT_SCHEMA_KEY = 'chat_output_schema';
+    // Marks exported settings files
+    const EXPORT_FORMAT = 'simple-ai-agent-settings';
+
+    const DEFAULTS = {
+        streaming: false,
+        enableCoT: true,
+        showThinking: true,
+        selectedModel: 'gpt-4.1-mini',
+        customEndpointUrl: '', // OpenAI-compatible server, e.g. http://localhost:8080/v1
+        customEndpointModel: '',
+        trustedProxy: '', // CORS proxy the user trusts with API keys, e.g. https://proxy.example.com/?url=
+        dailyBudget: 0, // USD, 0 = no limit
+        conversationBudget: 0,
+        fallbackModels: [], // Tried in order when the selected model is rate limited or down
+        structuredOutput: false, // Replies are JSON matching the output schema
+        outputSchema: '', // JSON Schema as typed
+        compareMode: false, // Messages go to the selected model and the compare models side by side
+        compareModels: [],
+        autoLockMinutes: 15, // Lock the API keys after this long without activity, 0 = never
+        rememberHours: 0, // Keep the session unlocked across reloads this long, 0 = until the page closes
+        generationParams: {} // Per model, e.g. { 'gpt-4.1-mini': { temperature: 0.2 } }
+    };
+
+    // How long a session may be remembered, as offered on the login screen
+    const REMEMBER_HOURS = [0, 1, 8, 24, 168];
+
+    // MIGRATIONS[n] turns settings of version n into version n + 1
+    const MIGRATIONS = [
+        // 0: the cookie object, with the output schema folded in when it was read.
+        // Its "remember password" flag becomes the longest remembered session.
+        ({ rememberPassword, ...settings }) => {
+            if (rememberPassword === undefined || 'rememberHours' in settings) return settings;
+            const longest = REMEMBER_HOURS[REMEMBER_HOURS.length - 1];
+            return { ...settings, rememberHours: rememberPassword === true ? longest : 0 };
+        }
+    ];
+    const VERSION = MIGRATIONS.length;
+
+    /**
+     * Checks whether a value is a plain object
+     * @param {*} value - The value
+     * @returns {boolean} - True for objects that are not arrays or null
+     */
+    function isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Checks that a URL is safe to send API keys to: https, or http on this machine
+     * @param {string} url - The URL
+     * @returns {boolean} - True if keys would not cross the network in the clear
+     */
+    function isSecureUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'https:' ||
+                (parsed.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname));
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Checks that a URL uses http or https
+     * @param {string} url - The URL
+     * @returns {boolean} - True if the URL can be fetched
+     */
+    function isHttpUrl(url) {
+        try {
+            return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Checks that text is a usable JSON Schema
+     * @param {string} text - The text
+     * @returns {boolean} - True if it parses to an object the validator can apply
+     */
+    function isJsonSchema(text) {
+        try {
+            const schema = JSON.parse(text);
+            return isPlainObject(schema) && !SchemaValidator.schemaProblem(schema);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Checks that a value is a list of model names
+     * @param {*} value - The value
+     * @returns {boolean} - True for an array of non-empty strings
+     */
+    function isModelList(value) {
+        return Array.isArray(value) && value.every(model => typeof model === 'string' && model.trim());
+    }
+
+    // What each setting must look like; values failing their check fall back to the default
+    const RULES = {
+        streaming: value => typeof value === 'boolean',
+        enableCoT: value => typeof value === 'boolean',
+        showThinking: value => typeof value === 'boolean',
+        selectedModel: value => typeof value === 'string' && value.trim() !== '',
+        customEndpointUrl: value => value === '' || (typeof value === 'string' && isHttpUrl(value)),
+        customEndpointModel: value => typeof value === 'string',
+        trustedProxy: value => value === '' || (typeof value === 'string' && isSecureUrl(value)),
+        dailyBudget: value => Number.isFinite(value) && value >= 0,
+        conversationBudget: value => Number.isFinite(value) && value >= 0,
+        fallbackModels: isModelList,
+        structuredOutput: value => typeof value === 'boolean',
+        outputSchema: value => value === '' || (typeof value === 'string' && isJsonSchema(value)),
+        compareMode: value => typeof value === 'boolean',
+        compareModels: isModelList,
+        autoLockMinutes: value => Number.isInteger(value) && value >= 0,
+        rememberHours: value => REMEMBER_HOURS.includes(value),
+        generationParams: value => isPlainObject(value) && Object.values(value).every(isPlainObject)
+    };
+
+    /**
+     * Gets a fresh copy of the default settings
+     * @returns {Object} - The defaults
+     */
+    function getDefaults() {
+        return JSON.parse(JSON.stringify(DEFAULTS));
+    }
+
+    /**
+     * Brings settings of an older version up to date
+     * @param {Object} settings - The stored settings
+     * @param {number} version - Their version
+     * @returns {Object} - Settings of the current version
+     */
+    function migrate(settings, version) {
+        let migrated = settings;
+        for (let v = version; v < VERSION; v++) {
+            migrated = MIGRATIONS[v](migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * Validates settings, completing them with defaults
+     * @param {Object} settings - Settings of the current version
+     * @returns {Object} - { settings, errors }, where errors names each value
+     *   that was replaced by its default; unknown keys are dropped
+     */
+    function validate(settings) {
+        const validated = getDefaults();
+        const errors = [];
+        Object.keys(RULES).forEach(key => {
+            if (!(key in settings)) return;
+            if (RULES[key](settings[key])) {
+                validated[key] = JSON.parse(JSON.stringify(settings[key]));
+            } else {
+                errors.push(`"${key}" is not valid and was reset to its default`);
+            }
+        });
+        // Structured output cannot be on without a schema to follow
+        if (validated.structuredOutput && !validated.outputSchema) {
+            validated.structuredOutput = false;
+            errors.push('"structuredOutput" needs an output schema and was turned off');
+        }
+        return { settings: validated, errors };
+    }
+
+    /**
+     * Reads the settings earlier versions kept in a cookie, and removes them
+     * @returns {Object|null} - Version 0 settings, null if there were none
+     */
+    function takeLegacySettings() {
+        const cookie = Utils.getCookie(LEGACY_COOKIE);
+        if (!cookie) return null;
+        Utils.deleteCookie(LEGACY_COOKIE);
+        let settings;
+        try {
+            settings = JSON.parse(cookie);
+        } catch (err) {
+            console.error('Error parsing settings from cookie:', err);
+            return null;
+        }
+        if (!isPlainObject(settings)) return null;
+        const outputSchema = localStorage.getItem(LEGACY_OUTPUT_SCHEMA_KEY);
+        localStorage.removeItem(LEGACY_OUTPUT_SCHEMA_KEY);
+        return outputSchema ? { ...settings, outputSchema } : settings;
+    }
+
+    /**
+     * Loads the saved settings, moving settings out of the old cookie on first use
+     * @returns {Object} - The settings, the defaults if none were saved
+     */
+    function load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (err) {
+            console.error('Error reading settings:', err);
+        }
+        if (!stored || !isPlainObject(stored.settings) || !Number.isInteger(stored.version)) {
+            const legacy = takeLegacySettings();
+            if (!legacy) return getDefaults();
+            stored = { version: 0, settings: legacy };
+        }
+        if (stored.version > VERSION) {
+            // Saved by a newer version of the app; read what is understood without rewriting it
+            const { settings, errors } = validate(stored.settings);
+            if (errors.length) console.warn('Settings from a newer version:', errors.join('; '));
+            return settings;
+        }
+        const { settings, errors } = validate(migrate(stored.settings, stored.version));
+        if (errors.length) console.warn('Stored settings were repaired:', errors.join('; '));
+        if (stored.version !== VERSION || errors.length) {
+            save(settings);
+        }
+        return settings;
+    }
+
+    /**
+     * Saves the settings
+     * @param {Object} settings - The settings
+     * @returns {Object} - The settings as saved, with invalid values replaced by defaults
+     * @throws {Error} - If the browser refuses to store them
+     */
+    function save(settings) {
+        const validated = validate(settings).settings;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION, settings: validated }));
+        return validated;
+    }
+
+    /**
+     * Replaces the saved settings with the defaults
+     * @returns {Object} - The defaults
+     */
+    function reset() {
+        localStorage.removeItem(STORAGE_KEY);
+        return getDefaults();
+    }
+
+    /**
+     * Serializes settings for export. API keys are never part of the settings.
+     * @param {Object} settings - The settings
+     * @returns {string} - The JSON file content
+     */
+    function exportJson(settings) {
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: validate(settings).settings
+        }, null, 2);
+    }
+
+    /**
+     * Reads exported settings
+     * @param {string} text - The JSON file content
+     * @returns {Object} - { settings, errors }, errors naming the values that were
+     *   replaced by their defaults
+     * @throws {Error} - If the text is not exported settings of a known version
+     */
+    function parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error('the file is not valid JSON');
+        }
+        if (!isPlainObject(data) || data.format !== EXPORT_FORMAT || !isPlainObject(data.settings)) {
+            throw new Error('the file is not exported settings');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > VERSION) {
+            throw new Error(`settings version ${data.version} is not supported; update the app to import them`);
+        }
+        return validate(migrate(data.settings, data.version));
+    }
+
+    // Public API
+    return {
+        VERSION,
+        getDefaults,
+        isSecureUrl,
+        load,
+        save,
+        reset,
+        exportJson,
+        parseJson
+    };
+})();
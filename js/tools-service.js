@@ -28,13 +28,45 @@ const ToolsService = (function() {
       { name: 'DirectNoCORS',      formatUrl: url => url,                                                                parseResponse: async res => {
                                                                                                           const text = await res.text().catch(()=> '');
                                                                                                           return text;
-                                                                                                        }, options: { mode: 'no-cors' } },
-      { name: 'FinalFallback',     formatUrl: url => url,                                                                parseResponse: async res => res.text() }
+                                                                                                        }, options: { mode: 'no-cors' }, direct: true },
+      { name: 'FinalFallback',     formatUrl: url => url,                                                                parseResponse: async res => res.text(), direct: true }
     ];
 
     // Proxy health tracking
     const proxyHealth = new Map(proxies.map(p => [p.name, 1]));
 
+    /**
+     * Describes how a fetch through a proxy entry reached the page, for display.
+     * These fetches carry no credentials, so public proxies are acceptable.
+     * @param {Object} proxy - The proxy entry
+     * @returns {string} - e.g. 'via public proxy api.codetabs.com'
+     */
+    function routeOf(proxy) {
+      return Utils.describeRoute(proxy.direct ? '' : proxy.formatUrl(''));
+    }
+
+    // Optional (tool, input) => result, consulted before the network; undefined means no answer
+    let resultSource = null;
+
+    /**
+     * Sets where tool results come from before the network is tried, e.g. canned
+     * results for the mock provider.
+     * @param {function|null} source - (tool, input) => result or undefined
+     */
+    function setResultSource(source) {
+      resultSource = source;
+    }
+
+    /**
+     * Asks the result source for a tool result
+     * @param {string} tool - web_search, read_url or instant_answer
+     * @param {string} input - The query or URL
+     * @returns {*} - The result, undefined if the network should be used
+     */
+    function cannedResult(tool, input) {
+      return resultSource ? resultSource(tool, input) : undefined;
+    }
+
     function getFinalUrl(rawUrl) {
       try {
         const parsed = new URL(rawUrl);
@@ -50,9 +82,16 @@ const ToolsService = (function() {
      * @param {string} query
      * @param {function} onResult - Callback for each result as it's found
      * @param {string} [engine] - Search engine: 'duckduckgo', 'google', or 'bing'
+     * @param {AbortSignal} [signal] - Cancels the search
+     * @param {function} [onRoute] - Told how the results were fetched
      * @returns {Promise<Array<{title:string,url:string,snippet:string}>>}
      */
-    async function webSearch(query, onResult, engine = 'duckduckgo') {
+    async function webSearch(query, onResult, engine = 'duckduckgo', signal, onRoute) {
+      const canned = cannedResult('web_search', query);
+      if (canned !== undefined) {
+        canned.forEach(result => { if (onResult) onResult(result); });
+        return canned;
+      }
       let searchUrl, parseResults;
       if (engine === 'google') {
         searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}&hl=en`;
@@ -119,15 +158,17 @@ const ToolsService = (function() {
       let partialResults = [];
       for (const proxy of sortedProxies) {
         try {
-          const response = await fetch(proxy.formatUrl(searchUrl));
+          const response = await fetch(proxy.formatUrl(searchUrl), { signal });
           if (!response.ok) throw new Error(`HTTP ${response.status}`);
           const htmlString = await proxy.parseResponse(response);
           const results = parseResults(htmlString);
           if (!results.length) throw new Error('No results');
+          if (onRoute) onRoute(routeOf(proxy));
           results.forEach(result => { if (onResult) onResult(result); });
           proxyHealth.set(proxy.name, (proxyHealth.get(proxy.name) || 1) + 2); // reward
           return results;
         } catch (err) {
+          if (signal?.aborted) throw err; // cancelled, not the proxy's fault
           proxyHealth.set(proxy.name, (proxyHealth.get(proxy.name) || 1) - 2); // penalize
           if (partialResults.length) {
             if (onResult) partialResults.forEach(r => onResult(r));
@@ -141,12 +182,16 @@ const ToolsService = (function() {
     /**
      * Fetches and returns text content from a URL via proxies.
      * @param {string} url
+     * @param {AbortSignal} [signal] - Cancels the read
+     * @param {function} [onRoute] - Told how the page was fetched
      * @returns {Promise<string>}
      */
-    async function readUrl(url) {
+    async function readUrl(url, signal, onRoute) {
+      const canned = cannedResult('read_url', url);
+      if (canned !== undefined) return canned;
       for (const proxy of proxies) {
         try {
-          const response = await fetch(proxy.formatUrl(url));
+          const response = await fetch(proxy.formatUrl(url), { signal });
           if (!response.ok) throw new Error(`HTTP ${response.status}`);
           const htmlString = await proxy.parseResponse(response);
           const parser = new DOMParser();
@@ -163,8 +208,10 @@ const ToolsService = (function() {
             });
           });
           const resultText = texts.join('\n\n').trim();
+          if (onRoute) onRoute(routeOf(proxy));
           return resultText;
         } catch (err) {
+          if (signal?.aborted) throw err;
           console.warn(`Proxy ${proxy.name} failed: ${err.message}`);
         }
       }
@@ -174,18 +221,24 @@ const ToolsService = (function() {
     /**
      * Fetches Instant Answer from DuckDuckGo API.
      * @param {string} query - The search query.
+     * @param {AbortSignal} [signal] - Cancels the request.
+     * @param {function} [onRoute] - Told how the answer was fetched.
      * @returns {Promise<Object>} - The JSON response from DuckDuckGo Instant Answer API.
      */
-    async function instantAnswer(query) {
+    async function instantAnswer(query, signal, onRoute) {
+      const canned = cannedResult('instant_answer', query);
+      if (canned !== undefined) return canned;
       const url = `https://api.duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&pretty=1`;
       let response;
       // Try via CORS proxy first to avoid CORS issues
       try {
-        response = await Utils.fetchWithProxyRetry(url, { method: 'GET' });
+        response = await Utils.fetchWithProxyRetry(url, { method: 'GET', signal, onRoute });
       } catch (proxyErr) {
+        if (signal?.aborted) throw proxyErr;
         console.warn('Instant Answer proxy fetch failed, falling back to direct fetch:', proxyErr);
         // Fallback to direct fetch
-        response = await fetch(url);
+        response = await fetch(url, { signal });
+        if (onRoute) onRoute(Utils.describeRoute(''));
       }
       if (!response.ok) {
         const errText = await (response.text().catch(() => ''));    
@@ -194,5 +247,5 @@ const ToolsService = (function() {
       return response.json();
     }
 
-    return { webSearch, readUrl, instantAnswer };
+    return { webSearch, readUrl, instantAnswer, setResultSource };
 })(); 
\ No newline at end of file
@@ -16,6 +16,11 @@ const UIController = (function() {
     
     let summarizeBtn = null;
     
+    // What each element in the chat window shows, so the conversation can be
+    // saved and rendered again: { type: 'message' | 'json' | 'html' | 'search' |
+    // 'read' | 'comparison', ... }, with an optional meta line
+    const renderedEntries = new WeakMap();
+    
     /**
      * Initializes the UI controller
      */
@@ -40,10 +45,9 @@ const UIController = (function() {
         
         // Add global event delegation for thinking toggle buttons
         document.addEventListener('click', function(event) {
-            if (event.target.classList.contains('toggle-thinking') || 
-                event.target.parentElement.classList.contains('toggle-thinking')) {
-                const button = event.target.classList.contains('toggle-thinking') ? 
-                               event.target : event.target.parentElement;
+            // closest() also copes with targets already removed from the page
+            const button = event.target.closest('.toggle-thinking');
+            if (button) {
                 const messageElement = button.closest('.chat-app__message');
                 
                 // Toggle the expanded state
@@ -62,43 +66,160 @@ const UIController = (function() {
     /**
      * Sets up event handlers for UI elements
      * @param {Function} onSendMessage - Callback for send button
-     * @param {Function} onClearChat - Callback for clear chat button
+     * @param {Function} onClearChat - Callback for the new chat button, before the window is cleared
+     * @param {Function} [onStop] - Callback for stop button
+     * @param {Function} [onAttach] - Callback receiving the files picked, pasted or dropped
      */
-    function setupEventHandlers(onSendMessage, onClearChat) {
+    function setupEventHandlers(onSendMessage, onClearChat, onStop, onAttach) {
         sendMessageCallback = onSendMessage;
         clearChatCallback = onClearChat;
         
         // Send button click handler
         document.getElementById('send-button').addEventListener('click', onSendMessage);
         
+        // Stop button click handler
+        const stopButton = document.getElementById('stop-button');
+        if (stopButton && onStop) {
+            stopButton.addEventListener('click', onStop);
+        }
+        
+        if (onAttach) {
+            setupAttachmentHandlers(onAttach);
+        }
+        
         // Clear chat button click handler
         const clearChatButton = document.getElementById('clear-chat-button');
         if (clearChatButton) {
+            // The finished conversation stays in the library, so nothing is lost
             clearChatButton.addEventListener('click', function() {
-                if (confirm('Are you sure you want to clear the chat history?')) {
-                    clearChatWindow();
-                    if (clearChatCallback) clearChatCallback();
-                }
+                if (clearChatCallback) clearChatCallback();
+                clearChatWindow();
+            });
+        }
+    }
+
+    /**
+     * Lets files be attached with the attach button, by pasting into the
+     * message input or by dropping them on the chat
+     * @param {Function} onAttach - Callback receiving an array of files
+     */
+    function setupAttachmentHandlers(onAttach) {
+        const attachButton = document.getElementById('attach-button');
+        const fileInput = document.getElementById('attachment-input');
+        if (attachButton && fileInput) {
+            attachButton.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                onAttach([...fileInput.files]);
+                fileInput.value = '';
             });
         }
+        
+        // Pasted text is left to the textarea
+        document.getElementById('message-input').addEventListener('paste', function(event) {
+            const files = [...(event.clipboardData?.files || [])];
+            if (files.length) {
+                event.preventDefault();
+                onAttach(files);
+            }
+        });
+        
+        const chatContainer = document.getElementById('chat-container');
+        chatContainer.addEventListener('dragover', function(event) {
+            if (!event.dataTransfer || ![...event.dataTransfer.types].includes('Files')) return;
+            event.preventDefault();
+            chatContainer.classList.add('chat-app--dragging');
+        });
+        chatContainer.addEventListener('dragleave', function(event) {
+            if (!chatContainer.contains(event.relatedTarget)) {
+                chatContainer.classList.remove('chat-app--dragging');
+            }
+        });
+        chatContainer.addEventListener('drop', function(event) {
+            chatContainer.classList.remove('chat-app--dragging');
+            const files = [...(event.dataTransfer?.files || [])];
+            if (!files.length) return;
+            event.preventDefault();
+            onAttach(files);
+        });
+    }
+
+    /**
+     * Shows the attachments waiting to be sent above the message input
+     * @param {Array} attachments - Image parts ({ type: 'image', mimeType, data, name })
+     *   and documents ({ type: 'document', name, text })
+     * @param {Function} onRemove - Callback receiving the index of the attachment to remove
+     */
+    function renderAttachments(attachments, onRemove) {
+        const tray = document.getElementById('attachment-tray');
+        if (!tray) return;
+        tray.replaceChildren();
+        tray.style.display = attachments.length ? '' : 'none';
+        attachments.forEach((attachment, index) => {
+            const item = document.createElement('div');
+            item.className = 'chat-app__attachment';
+            item.title = attachment.name;
+            item.appendChild(createAttachmentElement(attachment, 'chat-app__attachment-thumb'));
+            
+            const removeButton = document.createElement('button');
+            removeButton.className = 'chat-app__attachment-remove';
+            removeButton.textContent = '×';
+            removeButton.setAttribute('aria-label', `Remove ${attachment.name}`);
+            removeButton.addEventListener('click', () => onRemove(index));
+            item.appendChild(removeButton);
+            
+            tray.appendChild(item);
+        });
+    }
+
+    /**
+     * Creates the preview of an attachment: the image itself, or a chip naming the document
+     * @param {Object} attachment - An image part or a document
+     * @param {string} imageClassName - The class of image previews
+     * @returns {Element} - The preview element
+     */
+    function createAttachmentElement(attachment, imageClassName) {
+        if (attachment.type === 'document') {
+            const chip = document.createElement('span');
+            chip.className = 'chat-app__attachment-file';
+            chip.textContent = `📄 ${attachment.name}`;
+            return chip;
+        }
+        const img = document.createElement('img');
+        img.className = imageClassName;
+        // Attachments may come from imported files, so only embedded images of the allowed types are shown
+        const src = HtmlSanitizer.safeImageUrl(`data:${attachment.mimeType};base64,${attachment.data}`);
+        if (src) img.src = src;
+        img.alt = attachment.name || 'Attached image';
+        return img;
     }
 
     /**
      * Adds a message to the chat window
      * @param {string} sender - The sender ('user' or 'ai')
      * @param {string} text - The message text
+     * @param {Array} [attachments] - Images and documents shown under the text
      * @returns {Element} - The created message element
      */
-    function addMessage(sender, text) {
+    function addMessage(sender, text, attachments) {
         const chatWindow = document.getElementById('chat-window');
         const messageElement = Utils.createFromTemplate('message-template');
         
         // Set appropriate class based on sender
         messageElement.classList.add(`${sender}-message`);
+        renderedEntries.set(messageElement, attachments && attachments.length
+            ? { type: 'message', sender, text, attachments }
+            : { type: 'message', sender, text });
         
         // Format the message text
         updateMessageContent(messageElement, text);
         
+        if (attachments && attachments.length) {
+            const gallery = document.createElement('div');
+            gallery.className = 'chat-app__message-images';
+            attachments.forEach(attachment => gallery.appendChild(createAttachmentElement(attachment, 'chat-app__message-image')));
+            messageElement.appendChild(gallery);
+        }
+        
         // Add to chat window and scroll into view
         chatWindow.appendChild(messageElement);
         messageElement.scrollIntoView({ behavior: 'smooth', block: 'end' });
@@ -106,12 +227,149 @@ const UIController = (function() {
         return messageElement;
     }
 
+    /**
+     * Adds a message showing a JSON value as a collapsible tree, with buttons
+     * to copy or download it
+     * @param {*} value - The parsed JSON value
+     * @returns {Element} - The created message element
+     */
+    function addJsonMessage(value) {
+        const messageElement = addMessage('ai', '');
+        renderedEntries.set(messageElement, { type: 'json', value });
+        const contentElement = messageElement.querySelector('.chat-app__message-content');
+        contentElement.classList.add('chat-app__json');
+        contentElement.appendChild(createJsonNode(null, value));
+        
+        const json = JSON.stringify(value, null, 2);
+        const actions = document.createElement('div');
+        actions.className = 'chat-app__json-actions';
+        
+        const copyButton = document.createElement('button');
+        copyButton.className = 'chat-app__json-button';
+        copyButton.textContent = 'Copy';
+        copyButton.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(json);
+                copyButton.textContent = 'Copied';
+            } catch (err) {
+                console.error('Error copying JSON:', err);
+                copyButton.textContent = 'Copy failed';
+            }
+            setTimeout(() => { copyButton.textContent = 'Copy'; }, 2000);
+        });
+        
+        const downloadButton = document.createElement('button');
+        downloadButton.className = 'chat-app__json-button';
+        downloadButton.textContent = 'Download';
+        downloadButton.addEventListener('click', () => Utils.downloadFile('response.json', json, 'application/json'));
+        
+        actions.append(copyButton, downloadButton);
+        messageElement.appendChild(actions);
+        return messageElement;
+    }
+
+    /**
+     * Creates the tree node of a JSON value: a collapsible section for objects
+     * and arrays, a single line for anything else
+     * @param {string|number|null} key - The property name or array index, null for the root
+     * @param {*} value - The value
+     * @returns {Element} - The node element
+     */
+    function createJsonNode(key, value) {
+        const label = key === null ? '' : `${key}: `;
+        if (value && typeof value === 'object') {
+            const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+            const details = document.createElement('details');
+            details.className = 'chat-app__json-node';
+            details.open = true;
+            const summary = document.createElement('summary');
+            summary.textContent = label + (Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`);
+            details.appendChild(summary);
+            entries.forEach(([childKey, child]) => details.appendChild(createJsonNode(childKey, child)));
+            return details;
+        }
+        const leaf = document.createElement('div');
+        leaf.className = 'chat-app__json-leaf';
+        const keyElement = document.createElement('span');
+        keyElement.className = 'chat-app__json-key';
+        keyElement.textContent = label;
+        const valueElement = document.createElement('span');
+        valueElement.className = `chat-app__json-value chat-app__json-value--${value === null ? 'null' : typeof value}`;
+        valueElement.textContent = JSON.stringify(value);
+        leaf.append(keyElement, valueElement);
+        return leaf;
+    }
+
+    /**
+     * Adds a row of reply columns, one per model, each waiting for its reply
+     * @param {Array} models - The compared models, in column order
+     * @returns {Array} - The column message elements, in the same order
+     */
+    function addComparison(models) {
+        const chatWindow = document.getElementById('chat-window');
+        const comparison = document.createElement('section');
+        comparison.className = 'chat-app__comparison';
+        comparison.setAttribute('aria-label', 'Model comparison');
+        renderedEntries.set(comparison, { type: 'comparison', models: [...models], chosen: -1, pickable: [] });
+        
+        const columns = models.map(model => {
+            const column = Utils.createFromTemplate('message-template');
+            column.classList.add('ai-message', 'chat-app__comparison-column');
+            renderedEntries.set(column, { type: 'message', sender: 'ai', text: '' });
+            const heading = document.createElement('h4');
+            heading.className = 'chat-app__comparison-model';
+            heading.textContent = model;
+            column.prepend(heading);
+            updateMessageContent(column, '🤔 Thinking...');
+            comparison.appendChild(column);
+            return column;
+        });
+        
+        chatWindow.appendChild(comparison);
+        comparison.scrollIntoView({ behavior: 'smooth', block: 'end' });
+        return columns;
+    }
+
+    /**
+     * Marks the reply kept in the conversation and offers the other replies
+     * @param {Array} columns - The column elements from addComparison
+     * @param {number} chosenIndex - Index of the kept reply
+     * @param {Function|null} onPick - Called with a column index to keep that reply, null once the choice is final
+     * @param {Array} pickable - Whether each column holds a reply that can be kept
+     */
+    function renderComparisonChoice(columns, chosenIndex, onPick, pickable) {
+        const entry = columns.length && renderedEntries.get(columns[0].parentElement);
+        if (entry) {
+            entry.chosen = chosenIndex;
+            entry.pickable = [...pickable];
+        }
+        columns.forEach((column, index) => {
+            const chosen = index === chosenIndex;
+            column.classList.toggle('chat-app__comparison-column--chosen', chosen);
+            column.querySelector('.chat-app__comparison-pick')?.remove();
+            if (!pickable[index] || (!onPick && !chosen)) return;
+            
+            const button = document.createElement('button');
+            button.className = 'chat-app__comparison-pick';
+            button.textContent = chosen ? 'Kept in conversation' : 'Use this reply';
+            button.disabled = chosen || !onPick;
+            if (!button.disabled) {
+                button.addEventListener('click', () => onPick(index));
+            }
+            column.appendChild(button);
+        });
+    }
+
     /**
      * Clears all messages from the chat window
      */
     function clearChatWindow() {
         const chatWindow = document.getElementById('chat-window');
-        chatWindow.innerHTML = '';
+        chatWindow.replaceChildren();
+        // A new or reopened conversation shows its results afresh
+        shownUrls.clear();
+        urlOffsets.clear();
+        summarizeBtn = null;
     }
 
     /**
@@ -125,6 +383,11 @@ const UIController = (function() {
         const contentElement = messageElement.querySelector('.chat-app__message-content');
         if (!contentElement) return;
         
+        const entry = renderedEntries.get(messageElement);
+        if (entry && entry.type === 'message') {
+            entry.text = text;
+        }
+        
         // Remove existing toggle button if present
         const existingToggle = messageElement.querySelector('.toggle-thinking');
         if (existingToggle) {
@@ -141,13 +404,14 @@ const UIController = (function() {
         // Reset content element class
         contentElement.className = 'chat-app__message-content';
         
-        // Format code blocks and check for structured reasoning
+        // Format code blocks and check for structured reasoning; model output
+        // is sanitized like any other HTML shown in the chat
         if (text.includes('```')) {
             // Render code blocks
-            contentElement.innerHTML = formatCodeBlocks(text);
+            HtmlSanitizer.render(contentElement, formatCodeBlocks(text));
         } else {
             // Apply regular text formatting
-            contentElement.innerHTML = formatTextWithReasoningHighlights(text);
+            HtmlSanitizer.render(contentElement, formatTextWithReasoningHighlights(text));
         }
         
         // Add toggle button for CoT responses if they have thinking
@@ -228,8 +492,9 @@ const UIController = (function() {
                     }
                     
                     insideCode = true;
-                    codeBlockLang = line.slice(3).trim();
-                    formatted += `<pre><code class="language-${codeBlockLang}">`;
+                    // The fence's language becomes a class name, so keep only name characters
+                    codeBlockLang = line.slice(3).trim().replace(/[^\w+#.-]/g, '');
+                    formatted += codeBlockLang ? `<pre><code class="language-${codeBlockLang}">` : '<pre><code>';
                 } else {
                     // End of code block
                     insideCode = false;
@@ -278,9 +543,10 @@ const UIController = (function() {
         const chatWindow = document.getElementById('chat-window');
         const messageElement = Utils.createFromTemplate('message-template');
         messageElement.classList.add('ai-message');
+        renderedEntries.set(messageElement, { type: 'message', sender: 'ai', text: '' });
         
         const contentElement = messageElement.querySelector('.chat-app__message-content');
-        contentElement.innerHTML = '<span class="thinking-indicator">Thinking...</span>'; // Placeholder
+        HtmlSanitizer.render(contentElement, '<span class="thinking-indicator">Thinking...</span>'); // Placeholder
         
         chatWindow.appendChild(messageElement);
         messageElement.scrollIntoView({ behavior: 'smooth', block: 'end' });
@@ -288,6 +554,59 @@ const UIController = (function() {
         return messageElement;
     }
 
+    /**
+     * Shows a small metadata line (e.g. cost) under a message
+     * @param {Element} messageElement - The message element
+     * @param {string} text - The metadata text
+     */
+    function setMessageMeta(messageElement, text) {
+        let meta = messageElement.querySelector('.chat-app__message-meta');
+        if (!meta) {
+            meta = document.createElement('div');
+            meta.className = 'chat-app__message-meta';
+            messageElement.appendChild(meta);
+        }
+        meta.textContent = text;
+        const entry = renderedEntries.get(messageElement);
+        if (entry) {
+            entry.meta = text;
+        }
+    }
+
+    /**
+     * Records the reasoning behind a reply, kept with the conversation and its
+     * exports even when the thinking is not shown
+     * @param {Element} messageElement - The reply's message element
+     * @param {string} thinking - The Chain of Thought text
+     */
+    function setMessageThinking(messageElement, thinking) {
+        const entry = renderedEntries.get(messageElement);
+        if (entry && entry.type === 'message' && thinking) {
+            entry.thinking = thinking;
+        }
+    }
+
+    /**
+     * Swaps the send button for the stop button while a reply is generated
+     */
+    function showStopButton() {
+        const stopButton = document.getElementById('stop-button');
+        if (!stopButton) return;
+        stopButton.disabled = false;
+        stopButton.style.display = '';
+        document.getElementById('send-button').style.display = 'none';
+    }
+
+    /**
+     * Restores the send button once generation finished or was stopped
+     */
+    function hideStopButton() {
+        const stopButton = document.getElementById('stop-button');
+        if (!stopButton) return;
+        stopButton.style.display = 'none';
+        document.getElementById('send-button').style.display = '';
+    }
+
     // Add status bar control methods
     function showStatus(message) {
         const bar = document.getElementById('status-bar');
@@ -309,42 +628,59 @@ const UIController = (function() {
     function showSpinner(message) {
         const bar = document.getElementById('status-bar');
         if (bar) {
-            bar.innerHTML = `<span class="spinner" aria-live="polite" aria-busy="true"></span> ${message}`;
+            HtmlSanitizer.render(bar, `<span class="spinner" aria-live="polite" aria-busy="true"></span> ${Utils.escapeHtml(message)}`);
             bar.style.visibility = 'visible';
         }
     }
     function hideSpinner() {
         const bar = document.getElementById('status-bar');
         if (bar) {
-            bar.innerHTML = '';
+            bar.replaceChildren();
             bar.style.visibility = 'hidden';
         }
     }
 
+    /**
+     * Creates a 'Read More' button; buttons are built here, as sanitized HTML may not contain them
+     * @param {string} label - Accessible name
+     * @returns {HTMLButtonElement} - The button
+     */
+    function createReadMoreButton(label) {
+        const button = document.createElement('button');
+        button.className = 'read-more-btn';
+        button.textContent = 'Read More';
+        button.setAttribute('aria-label', label);
+        return button;
+    }
+
     /**
      * Adds a search result to the chat window with a 'Read More' button
      * @param {Object} result - {title, url, snippet}
      * @param {Function} onReadMore - Callback when 'Read More' is clicked
+     * @returns {Element|null} - The result element, null if the URL was already shown
      */
     function addSearchResult(result, onReadMore) {
-        if (shownUrls.has(result.url)) return;
+        if (shownUrls.has(result.url)) return null;
         shownUrls.add(result.url);
         const chatWindow = document.getElementById('chat-window');
         const article = document.createElement('article');
         article.className = 'chat-app__message ai-message search-result';
-        article.innerHTML = `
+        renderedEntries.set(article, { type: 'search', result: { title: result.title, url: result.url, snippet: result.snippet } });
+        // Scraped results may carry javascript: or data: links; those lose their href
+        const href = HtmlSanitizer.safeUrl(result.url);
+        HtmlSanitizer.render(article, `
             <div class="chat-app__message-content" aria-label="Search result">
-                <strong><a href="${result.url}" target="_blank" rel="noopener noreferrer" tabindex="0">${Utils.escapeHtml(result.title)}</a></strong><br>
+                <strong><a${href ? ` href="${Utils.escapeHtml(href)}"` : ''}>${Utils.escapeHtml(result.title)}</a></strong><br>
                 <small>${Utils.escapeHtml(result.url)}</small>
                 <p>${Utils.escapeHtml(result.snippet)}</p>
-                <button class="read-more-btn" aria-label="Read more from ${Utils.escapeHtml(result.title)}">Read More</button>
             </div>
-        `;
-        const btn = article.querySelector('.read-more-btn');
+        `);
+        const btn = createReadMoreButton(`Read more from ${result.title}`);
         btn.addEventListener('click', () => onReadMore(result.url));
-        btn.tabIndex = 0;
+        article.querySelector('.chat-app__message-content').appendChild(btn);
         chatWindow.appendChild(article);
         article.scrollIntoView({ behavior: 'smooth', block: 'end' });
+        return article;
     }
 
     /**
@@ -352,29 +688,120 @@ const UIController = (function() {
      * @param {string} url
      * @param {string} snippet
      * @param {boolean} hasMore
+     * @returns {Element} - The result element
      */
     function addReadResult(url, snippet, hasMore) {
         urlOffsets.set(url, (urlOffsets.get(url) || 0) + snippet.length);
         const chatWindow = document.getElementById('chat-window');
         const article = document.createElement('article');
         article.className = 'chat-app__message ai-message read-result';
-        article.innerHTML = `
+        renderedEntries.set(article, { type: 'read', url, snippet, hasMore });
+        const href = HtmlSanitizer.safeUrl(url);
+        HtmlSanitizer.render(article, `
             <div class="chat-app__message-content" aria-label="Read result">
-                <strong>Read from: <a href="${url}" target="_blank" rel="noopener noreferrer" tabindex="0">${url}</a></strong>
+                <strong>Read from: <a${href ? ` href="${Utils.escapeHtml(href)}"` : ''}>${Utils.escapeHtml(url)}</a></strong>
                 <p>${Utils.escapeHtml(snippet)}${hasMore ? '...' : ''}</p>
-                ${hasMore ? '<button class="read-more-btn" aria-label="Read more from this page">Read More</button>' : ''}
             </div>
-        `;
+        `);
         if (hasMore) {
-            const btn = article.querySelector('.read-more-btn');
+            const btn = createReadMoreButton('Read more from this page');
             btn.addEventListener('click', () => {
                 const offset = urlOffsets.get(url) || snippet.length;
                 ChatController.processToolCall({ tool: 'read_url', arguments: { url, start: offset, length: 2000 } });
             });
-            btn.tabIndex = 0;
+            article.querySelector('.chat-app__message-content').appendChild(btn);
         }
         chatWindow.appendChild(article);
         article.scrollIntoView({ behavior: 'smooth', block: 'end' });
+        return article;
+    }
+
+    /**
+     * Adds a chat bubble with HTML content (for tool results), sanitized
+     * to allow-listed tags, attributes and link schemes
+     * @param {string} sender - 'user' or 'ai'
+     * @param {string} html - HTML string for the bubble content
+     * @returns {Element} - The created message element
+     */
+    function addHtmlMessage(sender, html) {
+        const chatWindow = document.getElementById('chat-window');
+        const messageElement = Utils.createFromTemplate('message-template');
+        messageElement.classList.add(`${sender}-message`);
+        renderedEntries.set(messageElement, { type: 'html', sender, html });
+        const contentElement = messageElement.querySelector('.chat-app__message-content');
+        HtmlSanitizer.render(contentElement, html);
+        chatWindow.appendChild(messageElement);
+        messageElement.scrollIntoView({ behavior: 'smooth', block: 'end' });
+        return messageElement;
+    }
+
+    /**
+     * Gets what the chat window shows, in order, for saving the conversation.
+     * Elements removed from the chat (e.g. an empty streamed reply) are left out.
+     * @returns {Array} - Plain entries that renderTranscript can show again
+     */
+    function getTranscript() {
+        const chatWindow = document.getElementById('chat-window');
+        const transcript = [];
+        for (const element of chatWindow.children) {
+            const entry = renderedEntries.get(element);
+            if (!entry) continue;
+            if (entry.type === 'comparison') {
+                const columns = [...element.children].map(column => renderedEntries.get(column)).filter(Boolean);
+                transcript.push({ ...entry, columns: columns.map(({ text, meta, thinking }) => ({ text, meta, thinking })) });
+            } else {
+                transcript.push({ ...entry });
+            }
+        }
+        return JSON.parse(JSON.stringify(transcript));
+    }
+
+    /**
+     * Shows a saved transcript in the chat window, after what is already there
+     * @param {Array} transcript - Entries from getTranscript
+     * @param {Function} onReadMore - Callback receiving the URL of a search result to read
+     */
+    function renderTranscript(transcript, onReadMore) {
+        (transcript || []).forEach(entry => {
+            let element = null;
+            switch (entry.type) {
+                case 'message':
+                    element = addMessage(entry.sender, entry.text || '', entry.attachments);
+                    setMessageThinking(element, entry.thinking);
+                    break;
+                case 'json':
+                    element = addJsonMessage(entry.value);
+                    break;
+                case 'html':
+                    element = addHtmlMessage(entry.sender, entry.html);
+                    break;
+                case 'search':
+                    element = addSearchResult(entry.result, onReadMore);
+                    break;
+                case 'read':
+                    element = addReadResult(entry.url, entry.snippet, entry.hasMore);
+                    break;
+                case 'comparison': {
+                    const columns = addComparison(entry.models);
+                    columns.forEach((column, index) => {
+                        const saved = (entry.columns || [])[index] || {};
+                        updateMessageContent(column, saved.text || '');
+                        setMessageThinking(column, saved.thinking);
+                        if (saved.meta) setMessageMeta(column, saved.meta);
+                    });
+                    // Only the latest comparison can change its kept reply
+                    if (entry.chosen >= 0) {
+                        renderComparisonChoice(columns, entry.chosen, null, entry.pickable || []);
+                    }
+                    break;
+                }
+                default:
+                    console.warn('Unknown transcript entry:', entry.type);
+            }
+            if (element && entry.meta) {
+                setMessageMeta(element, entry.meta);
+            }
+        });
     }
 
     function addSummarizeButton(onClick) {
@@ -401,11 +828,19 @@ const UIController = (function() {
         init,
         setupEventHandlers,
         addMessage,
+        addJsonMessage,
+        addComparison,
+        renderComparisonChoice,
         clearChatWindow,
         updateMessageContent,
         getUserInput,
         clearUserInput,
         createEmptyAIMessage,
+        setMessageMeta,
+        setMessageThinking,
+        renderAttachments,
+        showStopButton,
+        hideStopButton,
         showStatus,
         clearStatus,
         addSearchResult,
@@ -413,21 +848,8 @@ const UIController = (function() {
         showSpinner,
         hideSpinner,
         addSummarizeButton,
-        /**
-         * Adds a chat bubble with raw HTML content (for tool results)
-         * @param {string} sender - 'user' or 'ai'
-         * @param {string} html - HTML string for the bubble content
-         * @returns {Element} - The created message element
-         */
-        addHtmlMessage(sender, html) {
-            const chatWindow = document.getElementById('chat-window');
-            const messageElement = Utils.createFromTemplate('message-template');
-            messageElement.classList.add(`${sender}-message`);
-            const contentElement = messageElement.querySelector('.chat-app__message-content');
-            contentElement.innerHTML = html;
-            chatWindow.appendChild(messageElement);
-            messageElement.scrollIntoView({ behavior: 'smooth', block: 'end' });
-            return messageElement;
-        }
+        addHtmlMessage,
+        getTranscript,
+        renderTranscript
     };
-})(); 
\ No newline at end of file
+})();
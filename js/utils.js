@@ -1,6 +1,7 @@
 /**
  * ./js/utils.js
  * Utilities Module - Contains encryption/decryption and helper functions
+ * Secrets are sealed with AES-GCM under PBKDF2-derived keys via WebCrypto
  */
 const Utils = (function() {
     'use strict';
@@ -8,13 +9,23 @@ const Utils = (function() {
     const encoder = new TextEncoder();
     const decoder = new TextDecoder();
 
+    // PBKDF2 work factor for keys derived from the password
+    const PBKDF2_ITERATIONS = 310000;
+    // IndexedDB store holding the remembered session key
+    const SECURE_DB_NAME = 'chat_secure';
+    const SECURE_DB_STORE = 'keys';
+    const SESSION_KEY_ID = 'session';
+    // Cookie in which earlier versions remembered the password
+    const LEGACY_PASSWORD_COOKIE = 'chat_pwd';
+
     /**
-     * Decrypts text using XOR cipher
-     * @param {string} ciphertext - The encrypted text
+     * Decrypts text written by earlier versions with a repeating-key XOR.
+     * Kept only to migrate old data: it cannot tell a wrong key from a right one.
+     * @param {string} ciphertext - The encrypted text, three digits per byte
      * @param {string} key - The decryption key
      * @returns {string} - Decrypted text
      */
-    function decrypt(ciphertext, key) {
+    function decryptLegacy(ciphertext, key) {
         let decoded = "";
         for (let i = 0; i < ciphertext.length; i += 3) {
             let numStr = ciphertext.slice(i, i + 3);
@@ -27,24 +38,80 @@ const Utils = (function() {
     }
 
     /**
-     * Encrypts text using XOR cipher (for cookie storage)
+     * Encodes bytes as base64
+     * @param {Uint8Array} bytes - The bytes
+     * @returns {string} - Base64 text
+     */
+    function toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    /**
+     * Decodes base64 to bytes
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} - The bytes
+     */
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    /**
+     * Creates a random salt for key derivation
+     * @returns {string} - 16 random bytes, base64
+     */
+    function createSalt() {
+        return toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    }
+
+    /**
+     * Derives an AES-GCM key from a password with PBKDF2-SHA-256. The key is
+     * not extractable, so it can be stored without exposing the password.
+     * @param {string} password - The password
+     * @param {string} salt - Base64 salt
+     * @param {number} [iterations] - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} - The AES-GCM key
+     */
+    async function deriveKey(password, salt, iterations = PBKDF2_ITERATIONS) {
+        const material = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypts text with AES-GCM under a fresh random IV
+     * @param {CryptoKey} key - The AES-GCM key
      * @param {string} text - The text to encrypt
-     * @param {string} key - The encryption key
-     * @returns {string} - Encrypted text
+     * @returns {Promise<Object>} - { iv, data }, both base64
      */
-    function encrypt(text, key) {
-        let encoded = "";
-        const textBytes = encoder.encode(text);
-        
-        for (let i = 0; i < textBytes.length; i++) {
-            const charCode = textBytes[i];
-            const keyChar = key.charCodeAt(i % key.length);
-            const encryptedChar = charCode ^ keyChar;
-            // Pad to ensure 3 digits for each character
-            encoded += encryptedChar.toString().padStart(3, '0');
+    async function encryptText(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(text));
+        return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+    }
+
+    /**
+     * Decrypts text sealed by encryptText. AES-GCM is authenticated, so a wrong
+     * key or tampered data fails instead of producing garbage.
+     * @param {CryptoKey} key - The AES-GCM key
+     * @param {Object} sealed - { iv, data } from encryptText
+     * @returns {Promise<string>} - The text
+     * @throws {Error} - If the key is wrong or the data was altered
+     */
+    async function decryptText(key, sealed) {
+        let data;
+        try {
+            data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data));
+        } catch (err) {
+            throw new Error('Wrong key or damaged data');
         }
-        
-        return encoded;
+        return decoder.decode(data);
     }
 
     /**
@@ -83,12 +150,24 @@ const Utils = (function() {
     /**
      * Updates the token usage display
      * @param {number} totalTokens - The total tokens used
+     * @param {Object} [breakdown] - { promptTokens, completionTokens } to show separately,
+     *   optionally with { cost, dailyCost, byStep } from CostTracker
      */
-    function updateTokenDisplay(totalTokens) {
+    function updateTokenDisplay(totalTokens, breakdown) {
         const tokenDisplay = document.getElementById('token-usage');
-        if (tokenDisplay) {
-            tokenDisplay.textContent = `Total tokens used: ${totalTokens}`;
+        if (!tokenDisplay) return;
+        let text = breakdown
+            ? `Total tokens used: ${totalTokens} (prompt: ${breakdown.promptTokens}, completion: ${breakdown.completionTokens})`
+            : `Total tokens used: ${totalTokens}`;
+        if (breakdown && breakdown.cost !== undefined) {
+            text += ` · Cost: ${CostTracker.formatCost(breakdown.cost)} (today: ${CostTracker.formatCost(breakdown.dailyCost)})`;
         }
+        tokenDisplay.textContent = text;
+        // Per-step breakdown on hover
+        const steps = Object.entries(breakdown?.byStep || {});
+        tokenDisplay.title = steps
+            .map(([step, s]) => `${step}: ${s.promptTokens} in / ${s.completionTokens} out, ${CostTracker.formatCost(s.cost)}`)
+            .join('\n');
     }
 
     /**
@@ -136,108 +215,369 @@ const Utils = (function() {
     }
 
     /**
-     * Saves the password to a cookie (securely)
-     * @param {string} password - The password to save
+     * Runs one request against the IndexedDB store of secure values
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - store => IDBRequest
+     * @returns {Promise<*>} - The request result
+     */
+    function secureStoreRequest(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const open = indexedDB.open(SECURE_DB_NAME, 1);
+            open.onupgradeneeded = () => open.result.createObjectStore(SECURE_DB_STORE);
+            open.onerror = () => reject(open.error);
+            open.onsuccess = () => {
+                const db = open.result;
+                const request = operation(db.transaction(SECURE_DB_STORE, mode).objectStore(SECURE_DB_STORE));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.transaction.oncomplete = () => db.close();
+            };
+        });
+    }
+
+    /**
+     * Remembers the session key on this device until it expires. The key is a
+     * non-extractable CryptoKey, so neither it nor the password can be read back out.
+     * @param {CryptoKey} key - The key that unlocks the API keys
+     * @param {number} expiresAt - When to forget it, in ms since the epoch
+     * @returns {Promise<void>}
      */
-    function savePasswordToCookie(password) {
-        // Create a simple encryption for the password
-        // Using a fixed salt + current domain as encryption key
-        const encryptionKey = 'AI-Chat-App-' + window.location.hostname;
-        const encryptedPassword = encrypt(password, encryptionKey);
-        setCookie('chat_pwd', encryptedPassword);
+    async function saveSessionKey(key, expiresAt) {
+        await secureStoreRequest('readwrite', store => store.put({ key, expiresAt }, SESSION_KEY_ID));
     }
 
     /**
-     * Gets the saved password from cookie
-     * @returns {string|null} - The decrypted password or null if not found
+     * Gets the remembered session key, forgetting it once expired
+     * @returns {Promise<CryptoKey|null>} - The key, null if none is remembered
+     */
+    async function loadSessionKey() {
+        if (!window.indexedDB) return null;
+        let saved;
+        try {
+            saved = await secureStoreRequest('readonly', store => store.get(SESSION_KEY_ID));
+        } catch (err) {
+            console.error('Error reading the remembered session:', err);
+            return null;
+        }
+        if (!saved) return null;
+        // Keys remembered by earlier versions carry no expiry and are dropped too
+        if (!saved.key || !(saved.expiresAt > Date.now())) {
+            await clearSavedPassword();
+            return null;
+        }
+        return saved.key;
+    }
+
+    /**
+     * Gets the password earlier versions remembered in a cookie, for migration
+     * @returns {string|null} - The password or null if not found
      */
     function getPasswordFromCookie() {
-        const encryptedPassword = getCookie('chat_pwd');
+        const encryptedPassword = getCookie(LEGACY_PASSWORD_COOKIE);
         if (!encryptedPassword) return null;
         
         try {
             const encryptionKey = 'AI-Chat-App-' + window.location.hostname;
-            return decrypt(encryptedPassword, encryptionKey);
+            return decryptLegacy(encryptedPassword, encryptionKey);
         } catch (err) {
             console.error('Error decrypting password from cookie:', err);
-            deleteCookie('chat_pwd');
+            deleteCookie(LEGACY_PASSWORD_COOKIE);
             return null;
         }
     }
 
     /**
-     * Clears the saved password from cookie
+     * Forgets the remembered session: the key in IndexedDB and any legacy password cookie
+     * @returns {Promise<void>}
      */
-    function clearSavedPassword() {
-        deleteCookie('chat_pwd');
+    async function clearSavedPassword() {
+        deleteCookie(LEGACY_PASSWORD_COOKIE);
+        if (!window.indexedDB) return;
+        try {
+            await secureStoreRequest('readwrite', store => store.delete(SESSION_KEY_ID));
+        } catch (err) {
+            console.error('Error forgetting the remembered session:', err);
+        }
     }
 
     /**
-     * Saves settings to a cookie
-     * @param {Object} settings - The settings object to save
+     * Safely escapes HTML special characters in a string
+     * @param {string} str - The string to escape
+     * @returns {string} - The escaped string
      */
-    function saveSettingsToCookie(settings) {
-        setCookie('chat_settings', JSON.stringify(settings));
+    function escapeHtml(str) {
+        const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(str).replace(/[&<>"']/g, s => map[s]);
     }
 
     /**
-     * Gets saved settings from cookie
-     * @returns {Object|null} - The settings object or null if not found
+     * Reads a file as base64
+     * @param {File} file - The file to read
+     * @returns {Promise<string>} - The file content, base64 encoded without a data: prefix
      */
-    function getSettingsFromCookie() {
-        const settingsStr = getCookie('chat_settings');
-        if (!settingsStr) return null;
+    function readFileAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Offers text to the user as a file download
+     * @param {string} filename - The suggested file name
+     * @param {string} text - The file content
+     * @param {string} mimeType - The content type, e.g. 'application/json'
+     */
+    function downloadFile(filename, text, mimeType) {
+        const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Creates a signal that aborts on timeout or when the caller's signal aborts.
+     * The link to the caller's signal outlives the timeout, so a streamed body
+     * can still be cancelled after the headers arrived.
+     * @param {AbortSignal} [signal] - The caller's signal
+     * @param {number} timeout - Timeout in ms
+     * @param {*} [timeoutReason] - Abort reason used on timeout
+     * @returns {Object} - { signal, clear } where clear cancels the timeout
+     */
+    function linkAbortSignal(signal, timeout, timeoutReason) {
+        const controller = new AbortController();
+        const id = setTimeout(() => controller.abort(timeoutReason), timeout);
+        const onAbort = () => controller.abort(signal.reason);
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort(signal.reason);
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+        return {
+            signal: controller.signal,
+            clear: () => {
+                clearTimeout(id);
+                // The caller's signal outlives the request; do not leave listeners on it
+                signal?.removeEventListener('abort', onAbort);
+            }
+        };
+    }
+
+    /**
+     * Kinds of request failure, so callers can react to the cause instead of the message
+     */
+    const ERROR_TYPES = Object.freeze({
+        AUTH: 'auth',               // Key missing, invalid or not allowed
+        RATE_LIMIT: 'rate-limit',   // Too many requests, retry later
+        QUOTA: 'quota',             // Credit or quota used up, retrying will not help
+        BAD_REQUEST: 'bad-request', // The request itself was rejected
+        SERVER: 'server',           // Provider outage or overload
+        NETWORK: 'network',         // No response at all
+        TIMEOUT: 'timeout',         // No response in time
+        PARSE: 'parse'              // A response that could not be read
+    });
+
+    const RETRYABLE_TYPES = [ERROR_TYPES.RATE_LIMIT, ERROR_TYPES.SERVER, ERROR_TYPES.NETWORK, ERROR_TYPES.TIMEOUT];
+    // Longest wait before giving up on a retry, so a fallback model can answer instead
+    const MAX_RETRY_WAIT = 20000;
+    // Methods that may be sent again after a timeout without repeating their effect
+    const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+    /**
+     * Creates a typed request error
+     * @param {string} type - One of ERROR_TYPES
+     * @param {string} message - The error message
+     * @param {Object} [details] - { status, retryAfter (ms), cause }
+     * @returns {Error} - An error named ApiError with `type`, `status`, `retryAfter` and `retryable`
+     */
+    function createApiError(type, message, details = {}) {
+        const err = new Error(message, details.cause ? { cause: details.cause } : undefined);
+        err.name = 'ApiError';
+        err.type = type;
+        err.status = details.status ?? null;
+        err.retryAfter = details.retryAfter ?? null;
+        err.retryable = RETRYABLE_TYPES.includes(type);
+        return err;
+    }
+
+    /**
+     * Reads how long the server asks to wait before retrying
+     * @param {Headers} headers - The response headers
+     * @param {Object|null} body - The parsed error body, for Gemini's RetryInfo
+     * @returns {number|null} - The wait in ms, null if none was given
+     */
+    function parseRetryAfter(headers, body) {
+        const ms = parseFloat(headers.get('retry-after-ms'));
+        if (ms >= 0) return ms;
+        const value = headers.get('retry-after');
+        if (value) {
+            const seconds = Number(value);
+            if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+            const date = Date.parse(value);
+            if (!isNaN(date)) return Math.max(0, date - Date.now());
+        }
+        const retryInfo = (body?.error?.details || []).find(detail => detail.retryDelay);
+        if (retryInfo) {
+            const seconds = parseFloat(retryInfo.retryDelay);
+            if (!isNaN(seconds)) return seconds * 1000;
+        }
+        return null;
+    }
+
+    /**
+     * Turns a non-OK response into a typed error
+     * @param {Response} response - The failed response
+     * @returns {Promise<Error>} - The ApiError, carrying the provider's message
+     */
+    async function errorFromResponse(response) {
+        const text = await response.text().catch(() => '');
+        let body = null;
+        try {
+            body = JSON.parse(text);
+        } catch (err) {
+            // Plain text or HTML error page
+        }
+        const detail = (body?.error?.message || body?.message || text).trim().slice(0, 500);
+        const status = response.status;
+        const retryAfter = parseRetryAfter(response.headers, body);
+        // Out of credit is reported as 429 by OpenAI and as 400 by Anthropic
+        const outOfCredit = /insufficient_quota|billing|credit balance/i.test(text) && retryAfter === null;
         
+        let type;
+        if (status === 401 || status === 403) type = ERROR_TYPES.AUTH;
+        else if (status === 402 || ((status === 429 || status === 400) && outOfCredit)) type = ERROR_TYPES.QUOTA;
+        else if (status === 429) type = ERROR_TYPES.RATE_LIMIT;
+        else if (status === 408) type = ERROR_TYPES.TIMEOUT;
+        else if (status >= 500) type = ERROR_TYPES.SERVER;
+        else type = ERROR_TYPES.BAD_REQUEST;
+        
+        return createApiError(type, `HTTP ${status}${detail ? ': ' + detail : ''}`, { status, retryAfter });
+    }
+
+    /**
+     * Types an error thrown by fetch itself
+     * @param {*} err - The thrown value
+     * @returns {Error} - An ApiError
+     */
+    function toApiError(err) {
+        if (err && err.name === 'ApiError') return err;
+        if (err && (err.name === 'AbortError' || err.name === 'TimeoutError')) {
+            return createApiError(ERROR_TYPES.TIMEOUT, 'The request timed out', { cause: err });
+        }
+        // fetch rejects with a TypeError when the server cannot be reached or CORS blocks it
+        return createApiError(ERROR_TYPES.NETWORK, `Network error: ${err && err.message ? err.message : err}`, { cause: err });
+    }
+
+    /**
+     * Parses a JSON response body
+     * @param {Response} response - The response
+     * @returns {Promise<*>} - The parsed body
+     */
+    async function readJson(response) {
+        const text = await response.text();
         try {
-            return JSON.parse(settingsStr);
+            return JSON.parse(text);
         } catch (err) {
-            console.error('Error parsing settings from cookie:', err);
-            deleteCookie('chat_settings');
-            return null;
+            throw createApiError(ERROR_TYPES.PARSE, `Unreadable response: ${text.slice(0, 100)}`,
+                { status: response.status, cause: err });
         }
     }
 
     /**
-     * Safely escapes HTML special characters in a string
-     * @param {string} str - The string to escape
-     * @returns {string} - The escaped string
+     * Computes an exponential backoff delay with jitter
+     * @param {number} attempt - The attempt that failed, from 1
+     * @param {number} baseDelay - Delay after the first failure in ms
+     * @returns {number} - The delay in ms, between half and all of the exponential step
      */
-    function escapeHtml(str) {
-        const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
-        return String(str).replace(/[&<>"']/g, s => map[s]);
+    function backoffDelay(attempt, baseDelay) {
+        const step = Math.min(baseDelay * 2 ** (attempt - 1), MAX_RETRY_WAIT);
+        return step / 2 + Math.random() * step / 2;
+    }
+
+    /**
+     * Waits, unless the caller cancels first
+     * @param {number} ms - The wait in ms
+     * @param {AbortSignal} [signal] - The caller's signal
+     * @returns {Promise<void>}
+     */
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(id);
+                reject(signal.reason);
+            };
+            const id = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Creates the abort reason used when a request runs out of time
+     * @param {number} timeout - Timeout in ms
+     * @returns {Error} - A timeout ApiError
+     */
+    function timeoutError(timeout) {
+        return createApiError(ERROR_TYPES.TIMEOUT, `No response within ${timeout / 1000}s`);
     }
 
     // Add fetch helpers for timeout and retry
     async function fetchWithTimeout(resource, options = {}, timeout = 10000) {
-        const controller = new AbortController();
-        const id = setTimeout(() => controller.abort(), timeout);
-        options.signal = controller.signal;
+        const { signal, clear } = linkAbortSignal(options.signal, timeout, timeoutError(timeout));
         try {
-            return await fetch(resource, options);
+            return await fetch(resource, { ...options, signal });
         } finally {
-            clearTimeout(id);
+            clear();
         }
     }
 
+    /**
+     * Fetches a URL, retrying rate limits, outages, network errors and timeouts
+     * with exponential backoff, or after the server's Retry-After. Requests that
+     * timed out are only sent again when repeating them is harmless: a POST may
+     * still be processed, and billed, after we stop waiting for it.
+     * @param {string} url - The URL
+     * @param {Object} [options] - fetch options, `signal` cancels the request and the retries
+     * @param {number} [maxAttempts] - Attempts in total
+     * @param {number} [delay] - Base backoff delay in ms
+     * @param {number} [timeout] - Timeout of each attempt in ms
+     * @returns {Promise<Response>} - The OK response
+     * @throws {Error} - An ApiError, or the abort reason when the caller cancelled
+     */
     async function fetchWithRetry(url, options = {}, maxAttempts = 3, delay = 1000, timeout = 10000) {
-        let attempt = 0;
-        while (attempt < maxAttempts) {
+        for (let attempt = 1; ; attempt++) {
+            // Stop retrying once the caller cancelled
+            options.signal?.throwIfAborted();
+            let error;
+            const { signal, clear } = linkAbortSignal(options.signal, timeout, timeoutError(timeout));
             try {
-                const controller = new AbortController();
-                const id = setTimeout(() => controller.abort('timeout'), timeout);
-                const response = await fetch(url, { ...options, signal: controller.signal });
-                clearTimeout(id);
-                if (!response.ok) throw new Error(`HTTP ${response.status}`);
-                return response;
+                const response = await fetch(url, { ...options, signal });
+                if (response.ok) return response;
+                error = await errorFromResponse(response);
             } catch (err) {
-                if (err.name === 'AbortError') {
-                    console.error(`Fetch attempt ${attempt + 1} aborted:`, err.message || err);
-                    throw err; // Do not retry on AbortError
+                if (options.signal?.aborted) throw err;
+                error = toApiError(err);
+                if (error.type === ERROR_TYPES.TIMEOUT && !IDEMPOTENT_METHODS.includes((options.method || 'GET').toUpperCase())) {
+                    throw error;
                 }
-                attempt++;
-                if (attempt >= maxAttempts) throw err;
-                await new Promise(res => setTimeout(res, delay));
+            } finally {
+                clear();
             }
+            
+            if (!error.retryable || attempt >= maxAttempts) throw error;
+            const wait = error.retryAfter ?? backoffDelay(attempt, delay);
+            // Waiting longer than this would stall the chat; let the caller decide
+            if (wait > MAX_RETRY_WAIT) throw error;
+            console.warn(`Fetch attempt ${attempt} failed (${error.message}), retrying in ${Math.round(wait)}ms`);
+            await sleep(wait, options.signal);
         }
     }
 
@@ -263,26 +603,137 @@ const Utils = (function() {
         'https://cors-proxy.elfsight.com/'
     ];
 
+    // Prefix of a CORS proxy the user runs or trusts, e.g. https://proxy.example.com/?url=;
+    // the only proxy requests carrying API keys may go through
+    let trustedProxy = '';
+
+    // Headers and query parameters that carry credentials
+    const CREDENTIAL_HEADERS = ['authorization', 'x-api-key', 'x-goog-api-key', 'api-key'];
+    const CREDENTIAL_PARAMS = ['key', 'api_key', 'apikey', 'access_token', 'token'];
+
+    /**
+     * Sets the trusted CORS proxy used when an authenticated request cannot be made directly
+     * @param {string} prefix - The proxy prefix; empty to allow direct requests only
+     */
+    function setTrustedProxy(prefix) {
+        trustedProxy = (prefix || '').trim();
+    }
+
+    /**
+     * Builds the URL of a request sent through a CORS proxy
+     * @param {string} prefix - The proxy prefix, '' for a direct request
+     * @param {string} resource - The target URL
+     * @returns {string} - The URL to fetch
+     */
+    function proxiedUrl(prefix, resource) {
+        if (!prefix) return resource;
+        return prefix.endsWith('?') || prefix.includes('?url=')
+            ? prefix + encodeURIComponent(resource)
+            : prefix + resource;
+    }
+
+    /**
+     * Describes the route of a request for display
+     * @param {string} prefix - The proxy prefix, '' for a direct request
+     * @param {boolean} [trusted] - Whether it is the trusted proxy
+     * @returns {string} - e.g. 'direct connection' or 'via public proxy corsproxy.io'
+     */
+    function describeRoute(prefix, trusted = false) {
+        if (!prefix) return 'direct connection';
+        let host = prefix;
+        try {
+            host = new URL(prefix).host;
+        } catch (err) {
+            // Not a URL; show the prefix itself
+        }
+        return `via ${trusted ? 'trusted' : 'public'} proxy ${host}`;
+    }
+
+    /**
+     * Checks whether a request carries credentials, in its headers or its URL
+     * @param {string} resource - The URL
+     * @param {Object} [options] - fetch options
+     * @returns {boolean} - True if an API key or token would be sent
+     */
+    function carriesCredentials(resource, options = {}) {
+        const headers = new Headers(options.headers || {});
+        if (CREDENTIAL_HEADERS.some(name => headers.has(name))) return true;
+        try {
+            const params = new URL(resource).searchParams;
+            return CREDENTIAL_PARAMS.some(name => params.has(name));
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Fetches a URL that carries credentials. It is sent directly, and only if the
+     * server cannot be reached that way (e.g. CORS), through the trusted proxy,
+     * never through a public one.
+     * @param {string} resource - The URL
+     * @param {Object} [options] - fetch options; `onRoute(route)` is told how the response arrived
+     * @param {number} [maxAttempts] - Attempts on each route
+     * @param {number} [delay] - Base delay between attempts in ms
+     * @param {number} [timeout] - Timeout of each attempt in ms
+     * @returns {Promise<Response>} - The OK response
+     * @throws {Error} - The ApiError of the last route tried
+     */
+    async function fetchCredentialed(resource, options = {}, maxAttempts = 3, delay = 1000, timeout = 10000) {
+        const { onRoute, ...fetchOptions } = options;
+        try {
+            const response = await fetchWithRetry(resource, fetchOptions, maxAttempts, delay, timeout);
+            if (onRoute) onRoute(describeRoute(''));
+            return response;
+        } catch (err) {
+            if (!trustedProxy || err.type !== ERROR_TYPES.NETWORK || options.signal?.aborted) throw err;
+            console.warn(`Direct request failed (${err.message}), retrying through the trusted proxy`);
+        }
+        const response = await fetchWithRetry(proxiedUrl(trustedProxy, resource), fetchOptions, maxAttempts, delay, timeout);
+        if (onRoute) onRoute(describeRoute(trustedProxy, true));
+        return response;
+    }
+
+    /**
+     * Fetches a URL directly, then through each CORS proxy in turn.
+     * Stops early when the server itself answered with a non-retryable error,
+     * as no proxy would change its answer. Public proxies see the whole request,
+     * so requests carrying credentials are refused; use fetchCredentialed for those.
+     * @param {string} resource - The URL
+     * @param {Object} [options] - fetch options, `signal` cancels the request and the retries;
+     *   `onRoute(route)` is told how the response arrived
+     * @param {Array} [proxies] - Proxy prefixes, '' for a direct request
+     * @param {number} [retries] - Attempts in total
+     * @param {number} [retryDelay] - Delay between attempts in ms
+     * @param {number} [timeout] - Timeout of each attempt in ms
+     * @returns {Promise<Response>} - The OK response
+     * @throws {Error} - The last ApiError, or the abort reason when the caller cancelled
+     */
     async function fetchWithProxyRetry(resource, options = {}, proxies = corsProxies, retries = proxies.length, retryDelay = 1000, timeout = 10000) {
+        const { onRoute, ...fetchOptions } = options;
+        if (carriesCredentials(resource, fetchOptions)) {
+            throw createApiError(ERROR_TYPES.BAD_REQUEST, 'Requests carrying API keys are never sent through public proxies');
+        }
         let lastError;
         for (let attempt = 1; attempt <= retries; attempt++) {
             const prefix = proxies[(attempt - 1) % proxies.length];
-            const url = prefix
-                ? (prefix.endsWith('?') || prefix.includes('?url=')
-                    ? prefix + encodeURIComponent(resource)
-                    : prefix + resource)
-                : resource;
             try {
-                const response = await fetchWithTimeout(url, options, timeout);
+                const response = await fetchWithTimeout(proxiedUrl(prefix, resource), fetchOptions, timeout);
                 if (!response.ok) {
-                    const text = await response.text();
-                    throw new Error(`HTTP ${response.status}: ${text}`);
+                    throw await errorFromResponse(response);
                 }
+                if (onRoute) onRoute(describeRoute(prefix));
                 return response;
             } catch (err) {
-                lastError = err;
-                console.warn(`Proxy fetch attempt ${attempt} via ${prefix || 'direct'} failed:`, err);
-                if (attempt < retries) await new Promise(r => setTimeout(r, retryDelay));
+                // A cancelled request is not retried through the next proxy
+                if (options.signal?.aborted) throw err;
+                lastError = toApiError(err);
+                console.warn(`Proxy fetch attempt ${attempt} via ${prefix || 'direct'} failed:`, lastError);
+                if (!prefix && lastError.status && !lastError.retryable) throw lastError;
+                if (attempt < retries) {
+                    const wait = lastError.retryAfter ?? retryDelay;
+                    if (wait > MAX_RETRY_WAIT) throw lastError;
+                    await sleep(wait, options.signal);
+                }
             }
         }
         throw lastError;
@@ -290,22 +741,36 @@ const Utils = (function() {
 
     // Public API
     return {
-        decrypt,
-        encrypt,
+        decryptLegacy,
+        PBKDF2_ITERATIONS,
+        createSalt,
+        deriveKey,
+        encryptText,
+        decryptText,
         parseSSELine,
         createFromTemplate,
         updateTokenDisplay,
         setCookie,
         getCookie,
         deleteCookie,
-        savePasswordToCookie,
+        saveSessionKey,
+        loadSessionKey,
         getPasswordFromCookie,
         clearSavedPassword,
-        saveSettingsToCookie,
-        getSettingsFromCookie,
         escapeHtml,
+        readFileAsBase64,
+        downloadFile,
+        ERROR_TYPES,
+        createApiError,
+        errorFromResponse,
+        readJson,
+        sleep,
         fetchWithTimeout,
         fetchWithRetry,
+        setTrustedProxy,
+        describeRoute,
+        carriesCredentials,
+        fetchCredentialed,
         fetchWithProxyRetry
     };
 })(); 
\ No newline at end of file